@@ -0,0 +1,196 @@
+const mongoose = require("mongoose");
+
+const User = require("../models/User");
+const Goat = require("../models/Goat");
+const Farm = require("../models/Farm");
+const VetAccess = require("../models/VetAccess");
+const { ApiError } = require("../utils/errors");
+const { membershipOf, can, findActingFarm } = require("../utils/farms");
+const { verifyAccessToken } = require("../utils/tokens");
+
+// Also sent by /login and /refresh so the app can show why
+const suspendedError = () =>
+  new ApiError(
+    403,
+    "This account has been suspended",
+    undefined,
+    "ACCOUNT_SUSPENDED"
+  );
+
+// Resolves the caller from "Authorization: Bearer <accessToken>" into req.user
+const requireAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      throw new ApiError(401, "Authentication required");
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (err) {
+      throw new ApiError(401, "Invalid or expired token");
+    }
+
+    const user = await User.findById(payload.sub).select("-password");
+    if (!user) throw new ApiError(401, "User no longer exists");
+
+    // A password change or reset logs out every other session
+    if (
+      user.passwordChangedAt &&
+      payload.iat * 1000 < user.passwordChangedAt.getTime() - 1000
+    ) {
+      throw new ApiError(401, "Invalid or expired token");
+    }
+
+    if (user.suspendedAt) throw suspendedError();
+
+    req.user = user;
+    req.tokenExpiresAt = new Date(payload.exp * 1000);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Only lets the listed roles through. Must run after requireAuth.
+//   requireRole("admin"), requireRole("farmer", "vet")
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return next(
+        new ApiError(403, `Only ${roles.join(" or ")} accounts can do this`)
+      );
+    }
+    next();
+  };
+
+const loadGoat = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid Goat ID", { id: "Must be a valid id" });
+  }
+
+  const goat = await Goat.findById(id);
+  if (!goat) throw new ApiError(404, "Goat not found");
+  return goat;
+};
+
+// Checks the caller's role on `farm` allows `permission` (see PERMISSIONS
+// in utils/farms.js) and puts the farm and membership on the request
+const useFarm = (req, farm, permission) => {
+  const membership = farm && membershipOf(farm, req.user._id);
+  if (!membership) throw new ApiError(403, "You are not a member of this farm");
+  if (!can(membership, permission)) {
+    throw new ApiError(
+      403,
+      `A farm ${membership.role} can't do this`,
+      undefined,
+      "FARM_ROLE"
+    );
+  }
+
+  req.farm = farm;
+  req.membership = membership;
+};
+
+// Loads the goat in :id into req.goat (and its farm into req.farm), but only
+// if the caller works on that farm in a role that allows `permission`.
+// Must run after requireAuth.
+const requireGoatAccess = (permission) => async (req, res, next) => {
+  try {
+    const goat = await loadGoat(req.params.id);
+    const farm = await Farm.findById(goat.owner);
+
+    if (!farm || !membershipOf(farm, req.user._id)) {
+      throw new ApiError(403, "You do not own this goat");
+    }
+    useFarm(req, farm, permission);
+
+    req.goat = goat;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// For /farms/:id/... routes: loads the farm into req.farm if the caller may
+// do `permission` there. `param` names another route parameter.
+// Must run after requireAuth.
+const requireFarmAccess =
+  (permission, param = "id") =>
+  async (req, res, next) => {
+    try {
+      const farm = await Farm.findById(req.params[param]);
+      if (!farm) throw new ApiError(404, "Farm not found");
+
+      useFarm(req, farm, permission);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+// For routes without a farm in the path (/add-goat, /sync, ...): the farm
+// from the X-Farm-Id header, or the caller's own or only farm.
+// Must run after requireAuth.
+const requireActingFarm = (permission) => async (req, res, next) => {
+  try {
+    const farm = await findActingFarm(req.user, req.get("X-Farm-Id"));
+    if (!farm) {
+      throw new ApiError(
+        403,
+        "You are not on a farm yet. Accept an invitation or create one.",
+        undefined,
+        "NO_FARM"
+      );
+    }
+
+    useFarm(req, farm, permission);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Like requireGoatAccess("herd"), but also lets in a vet the goat's farm
+// has granted access to its health records. permission is "read" or
+// "write".
+const requireHealthAccess = (permission) => async (req, res, next) => {
+  try {
+    const goat = await loadGoat(req.params.id);
+    const farm = await Farm.findById(goat.owner);
+
+    if (farm && membershipOf(farm, req.user._id)) {
+      useFarm(req, farm, "herd");
+    } else {
+      const access =
+        req.user.role === "vet" &&
+        (await VetAccess.findOne({ farm: goat.owner, vet: req.user._id })
+          .select("permission")
+          .lean());
+
+      if (!access) throw new ApiError(403, "You do not own this goat");
+      if (permission === "write" && access.permission !== "write") {
+        throw new ApiError(403, "This farm gave you read-only access");
+      }
+    }
+
+    req.goat = goat;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  suspendedError,
+  requireAuth,
+  requireRole,
+  requireGoatAccess,
+  requireFarmAccess,
+  requireActingFarm,
+  requireHealthAccess,
+};
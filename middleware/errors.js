@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const { ApiError, errorBody } = require("../utils/errors");
+
+// Turns the errors Mongoose/Express throw into ApiErrors
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  // Schema validation failed on save
+  if (err instanceof mongoose.Error.ValidationError) {
+    const fields = {};
+    for (const [path, fieldErr] of Object.entries(err.errors)) {
+      fields[path] = fieldErr.message;
+    }
+    return new ApiError(400, "Validation failed", fields);
+  }
+
+  // A value couldn't be cast to the schema type (e.g. "abc" as an ObjectId)
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, "Validation failed", {
+      [err.path]: `Invalid ${err.kind}`,
+    });
+  }
+
+  // Unique index violation (email, rfidTag, ...)
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+    return new ApiError(
+      409,
+      field ? `${field} is already in use` : "Duplicate record",
+      field ? { [field]: "Already in use" } : undefined
+    );
+  }
+
+  // Body parser errors
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(400, "Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new ApiError(413, "Request body is too large");
+  }
+
+  return null;
+};
+
+// Unknown routes get the same JSON shape as everything else
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, `Cannot ${req.method} ${req.path}`));
+};
+
+// Must be registered after every route
+const errorHandler = (err, req, res, next) => {
+  const apiError = toApiError(err);
+
+  if (!apiError) {
+    console.error(`❌ ${req.method} ${req.originalUrl} Error:`, err);
+    return res
+      .status(500)
+      .json(errorBody(new ApiError(500, "Something went wrong on our side")));
+  }
+
+  res.status(apiError.status).json(errorBody(apiError));
+};
+
+module.exports = { toApiError, notFoundHandler, errorHandler };
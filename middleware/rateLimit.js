@@ -0,0 +1,40 @@
+const { ApiError } = require("../utils/errors");
+const { LIMITS, getRateLimitStore } = require("../utils/rateLimit");
+
+// Counts requests per client in a fixed window and answers 429 with
+// Retry-After once `max` is reached.
+//   rateLimit("auth")                       -> the LIMITS.auth settings
+//   rateLimit({ name, windowMs, max, key }) -> custom; key(req) defaults to IP
+const rateLimit = (options) => {
+  const { name, windowMs, max, key } =
+    typeof options === "string"
+      ? { name: options, ...LIMITS[options] }
+      : options;
+  const keyOf = key || ((req) => req.ip);
+
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await getRateLimitStore().increment(
+        `rate:${name}:${keyOf(req)}`,
+        windowMs
+      );
+
+      res.set("RateLimit-Limit", String(max));
+      res.set("RateLimit-Remaining", String(Math.max(0, max - count)));
+
+      if (count > max) {
+        const retryAfter = Math.ceil((resetAt - Date.now()) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(
+          429,
+          `Too many requests. Try again in ${retryAfter} seconds.`
+        );
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,36 @@
+const multer = require("multer");
+
+const { ApiError } = require("../utils/errors");
+const { ALLOWED_MIME_TYPES, MAX_IMAGE_BYTES } = require("../utils/images");
+
+// Files are kept in memory so utils/images.js can validate and resize them
+// before anything is written to uploads/
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES[file.mimetype]) return cb(null, true);
+
+    cb(
+      new ApiError(400, "Unsupported image type", {
+        [file.fieldname]: `Allowed: ${Object.keys(ALLOWED_MIME_TYPES).join(
+          ", "
+        )}`,
+      })
+    );
+  },
+});
+
+// upload.single() with multer errors turned into ApiErrors
+const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (!err || err instanceof ApiError) return next(err);
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(new ApiError(413, "Image is too large"));
+    }
+    next(new ApiError(400, err.message));
+  });
+};
+
+module.exports = { upload, uploadSingle };
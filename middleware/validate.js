@@ -0,0 +1,186 @@
+const mongoose = require("mongoose");
+
+const { ApiError } = require("../utils/errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Checks one value against its spec. Returns { value } with the cleaned-up
+// value, or { error } with a message for the client.
+//
+// Spec keys: type (string | number | integer | boolean | date | objectId |
+// array | object), enum, min, max, minLength, maxLength, email, trim
+// (false keeps surrounding spaces, e.g. in passwords), items (spec for array
+// items), fields (schema for object values)
+const checkValue = (value, spec) => {
+  switch (spec.type) {
+    case "string": {
+      if (typeof value !== "string") return { error: "Must be text" };
+      const text = spec.trim === false ? value : value.trim();
+      if (spec.minLength && text.length < spec.minLength) {
+        return { error: `Must be at least ${spec.minLength} characters` };
+      }
+      if (spec.maxLength && text.length > spec.maxLength) {
+        return { error: `Must be at most ${spec.maxLength} characters` };
+      }
+      if (spec.email && !EMAIL_PATTERN.test(text)) {
+        return { error: "Must be a valid email address" };
+      }
+      if (spec.enum && !spec.enum.includes(text)) {
+        return { error: `Must be one of: ${spec.enum.join(", ")}` };
+      }
+      return { value: text };
+    }
+
+    case "number":
+    case "integer": {
+      // Query strings and multipart fields arrive as text
+      const num =
+        typeof value === "string" && value !== "" ? Number(value) : value;
+      if (typeof num !== "number" || Number.isNaN(num)) {
+        return { error: "Must be a number" };
+      }
+      if (spec.type === "integer" && !Number.isInteger(num)) {
+        return { error: "Must be a whole number" };
+      }
+      if (spec.min !== undefined && num < spec.min) {
+        return { error: `Must be at least ${spec.min}` };
+      }
+      if (spec.max !== undefined && num > spec.max) {
+        return { error: `Must be at most ${spec.max}` };
+      }
+      return { value: num };
+    }
+
+    case "boolean": {
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { error: "Must be true or false" };
+    }
+
+    case "date": {
+      const date = new Date(value);
+      if (value === null || value === "" || Number.isNaN(date.getTime())) {
+        return { error: "Must be a valid date" };
+      }
+      return { value: date };
+    }
+
+    case "objectId": {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return { error: "Must be a valid id" };
+      }
+      return { value: String(value) };
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return { error: "Must be a list" };
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { error: `Must have at most ${spec.maxLength} items` };
+      }
+      if (!spec.items) return { value };
+
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = checkValue(item, spec.items);
+        if (result.error)
+          return { error: `Item ${index + 1}: ${result.error}` };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return { error: "Must be an object" };
+      }
+      if (!spec.fields) return { value };
+
+      const { values, errors } = checkObject(value, spec.fields, {});
+      const messages = Object.entries(errors).map(([k, v]) => `${k}: ${v}`);
+      if (messages.length) return { error: messages.join("; ") };
+      return { value: values };
+    }
+
+    default:
+      return { value };
+  }
+};
+
+// Validates every field in `schema` and drops anything not in it.
+// Options: partial (skip "required", for updates), forbidden (fields that
+// exist on the model but may not be set through this route).
+const checkObject = (input, schema, { partial, forbidden = [] }) => {
+  const values = {};
+  const errors = {};
+
+  for (const field of forbidden) {
+    if (input[field] !== undefined) errors[field] = "Cannot be changed here";
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = input[field];
+
+    if (raw === undefined || (raw === "" && spec.type !== "string")) {
+      if (spec.required && !partial) errors[field] = "Is required";
+      else if (spec.default !== undefined) values[field] = spec.default;
+      continue;
+    }
+    if (raw === null && spec.nullable) {
+      values[field] = null;
+      continue;
+    }
+
+    const result = checkValue(raw, spec);
+    if (result.error) errors[field] = result.error;
+    else if (spec.required && !partial && result.value === "") {
+      errors[field] = "Is required";
+    } else values[field] = result.value;
+  }
+
+  return { values, errors };
+};
+
+// Route middleware. Each part (params, query, body) is checked against its
+// schema; the cleaned values replace req.params / req.body and, since
+// Express 5 makes req.query read-only, land in req.validQuery.
+//
+//   validate({ params: { id: { type: "objectId" } }, body: goatSchema })
+const validate =
+  (schemas, { partial = false, forbidden = [] } = {}) =>
+  (req, res, next) => {
+    const fields = {};
+    const cleaned = {};
+
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+
+      const { values, errors } = checkObject(req[part] || {}, schemas[part], {
+        partial: part === "body" && partial,
+        forbidden: part === "body" ? forbidden : [],
+      });
+      Object.assign(fields, errors);
+      cleaned[part] = values;
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return next(new ApiError(400, "Validation failed", fields));
+    }
+
+    if (cleaned.params) Object.assign(req.params, cleaned.params);
+    if (cleaned.query) req.validQuery = cleaned.query;
+    if (cleaned.body) req.body = cleaned.body;
+    next();
+  };
+
+// Shorthand for the common ":id must be an ObjectId" check
+const validateId = (...names) =>
+  validate({
+    params: Object.fromEntries(
+      (names.length ? names : ["id"]).map((name) => [
+        name,
+        { type: "objectId", required: true },
+      ])
+    ),
+  });
+
+module.exports = { validate, validateId, checkObject };
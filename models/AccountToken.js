@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to the user: email verification, password reset
+// and confirming a new email address
+const AccountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ["verify_email", "reset_password", "change_email"],
+    required: true,
+  },
+  // Like RefreshToken, only a SHA-256 hash of what was mailed
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // change_email: the address being confirmed
+  newEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AccountTokenSchema.index({ user: 1, purpose: 1 });
+
+// MongoDB removes expired tokens on its own
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AccountToken", AccountTokenSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 86400000;
+
+// Average goat gestation. Can be overridden per breeding.
+const DEFAULT_GESTATION_DAYS = 150;
+
+const BreedingEventSchema = new mongoose.Schema({
+  // 1. The pair
+  doe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+  buck: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false, // Empty when an outside buck or AI straw was used
+  },
+  externalBuck: {
+    name: { type: String, trim: true },
+    registration: { type: String, trim: true },
+    breed: { type: String, trim: true },
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+
+  // 2. Mating
+  matingDate: {
+    type: Date,
+    required: true,
+  },
+  method: {
+    type: String,
+    enum: ["natural", "ai"],
+    default: "natural",
+  },
+  gestationDays: {
+    type: Number,
+    min: 1,
+    default: DEFAULT_GESTATION_DAYS,
+  },
+  expectedKiddingDate: Date, // Computed on save
+
+  status: {
+    type: String,
+    enum: ["bred", "confirmed", "kidded", "failed"],
+    default: "bred",
+  },
+
+  // 3. Kidding outcome (filled in by the kidding endpoint)
+  kidding: {
+    date: Date,
+    kidsBorn: Number,
+    kidsAlive: Number,
+    kids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Goat" }],
+    notes: String,
+  },
+
+  notes: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+BreedingEventSchema.index({ doe: 1, matingDate: -1 });
+
+BreedingEventSchema.pre("save", function () {
+  this.expectedKiddingDate = new Date(
+    this.matingDate.getTime() + this.gestationDays * DAY_MS
+  );
+});
+
+module.exports = mongoose.model("BreedingEvent", BreedingEventSchema);
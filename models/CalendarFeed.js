@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A secret link to a farm's task calendar (.ics), for phone calendar apps
+// that can't log in. One per member per farm; like AccountToken only the
+// token's hash is stored.
+const CalendarFeedSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CalendarFeedSchema.index({ farm: 1, user: 1 });
+
+module.exports = mongoose.model("CalendarFeed", CalendarFeedSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// One record per generated PDF, so anyone holding the paper can check the
+// printed code against GET /certificates/:code
+const CertificateSchema = new mongoose.Schema({
+  // Short code printed on the document, e.g. "7KQ2-M9XD-4TRA"
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: ["goat", "inventory"],
+    required: true,
+  },
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false, // Only for single-goat certificates
+  },
+
+  // The farm whose name is on the document
+  issuer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  // The member who printed it
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: false,
+  },
+
+  // What the document said when it was printed. The verify endpoint shows
+  // this so a tampered printout doesn't match.
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CertificateSchema.index({ goat: 1, issuedAt: -1 });
+
+module.exports = mongoose.model("Certificate", CertificateSchema);
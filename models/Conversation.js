@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// A message thread between a buyer and a farm, optionally about one goat
+const ConversationSchema = new mongoose.Schema({
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true, // The farm
+  },
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false, // General questions to the farm have no goat
+  },
+
+  // Copied from the newest message so the inbox needs no extra lookups
+  lastMessage: {
+    body: String,
+    sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    sentAt: Date,
+  },
+
+  // Messages each side hasn't read yet
+  buyerUnread: {
+    type: Number,
+    default: 0,
+  },
+  sellerUnread: {
+    type: Number,
+    default: 0,
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One thread per buyer, farm and goat (goat null = the general thread)
+ConversationSchema.index({ buyer: 1, seller: 1, goat: 1 }, { unique: true });
+ConversationSchema.index({ buyer: 1, "lastMessage.sentAt": -1 });
+ConversationSchema.index({ seller: 1, "lastMessage.sentAt": -1 });
+
+module.exports = mongoose.model("Conversation", ConversationSchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+
+// A farm and the people who work on it. Goats, listings, offers and
+// conversations belong to the farm, not to one login.
+const FarmSchema = new mongoose.Schema({
+  farmName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  address: {
+    type: String,
+    trim: true,
+  },
+
+  // === PUBLIC PROFILE (store page) ===
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  logoUrl: {
+    type: String, // Relative, like Image.imageUrl
+  },
+  logoThumbnailUrl: {
+    type: String,
+  },
+  // Structured version of `address`, which stays as the one-line display text
+  addressDetails: {
+    street: { type: String, trim: true },
+    barangay: { type: String, trim: true },
+    city: { type: String, trim: true }, // City or municipality
+    province: { type: String, trim: true },
+    region: { type: String, trim: true },
+    postalCode: { type: String, trim: true },
+  },
+  // Optional map pin, GeoJSON: { type: "Point", coordinates: [lng, lat] }
+  geo: {
+    type: { type: String, enum: ["Point"] },
+    coordinates: { type: [Number], default: undefined },
+  },
+
+  // === MEMBERS ===
+  // Exactly one owner. What each role may do is in utils/farms.js.
+  members: [
+    {
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      role: { type: String, enum: ["owner", "manager", "worker"] },
+      joinedAt: { type: Date, default: Date.now },
+    },
+  ],
+
+  // === REMINDERS ===
+  // Days used to schedule tasks (utils/tasks.js). null turns one off.
+  reminders: {
+    vaccinationBoosterDays: { type: Number, min: 1, default: 365 },
+    dewormingDays: { type: Number, min: 1, default: 90 },
+    weaningDays: { type: Number, min: 1, default: 90 }, // Age at weaning
+    weighingDays: { type: Number, min: 1, default: 30 },
+  },
+
+  // Set while the owner's account is suspended
+  suspendedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+FarmSchema.index({ "members.user": 1 });
+
+// Nearby farm/listing search. Farms without a pin simply aren't indexed.
+FarmSchema.index({ geo: "2dsphere" });
+
+module.exports = mongoose.model("Farm", FarmSchema);
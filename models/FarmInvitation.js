@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// An emailed invitation to join a farm. The link carries a token; like
+// AccountToken only its hash is stored.
+const FarmInvitationSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  role: {
+    type: String,
+    enum: ["manager", "worker"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+FarmInvitationSchema.index({ farm: 1, email: 1 });
+
+// MongoDB removes expired invitations on its own
+FarmInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("FarmInvitation", FarmInvitationSchema);
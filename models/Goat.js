@@ -1,10 +1,26 @@
 const mongoose = require("mongoose");
 
+// A parent is either a goat in our system (which may belong to another farm)
+// or an external, unregistered animal described by name/registration only.
+const ParentSchema = new mongoose.Schema(
+  {
+    goat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Goat",
+      required: false,
+    },
+    name: { type: String, trim: true },
+    registration: { type: String, trim: true }, // Herd book / registry number
+    breed: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
 const GoatSchema = new mongoose.Schema({
-  // 1. Link to the Farmer (Owner)
+  // 1. Link to the Farm (Owner)
   owner: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: "User",
+    ref: "Farm",
     required: true,
   },
 
@@ -16,6 +32,17 @@ const GoatSchema = new mongoose.Schema({
     trim: true,
   },
 
+  // Tags this goat wore before (lost or damaged ear tags), oldest first
+  tagHistory: [
+    {
+      _id: false,
+      rfidTag: String,
+      replacedAt: Date,
+      reason: String,
+      replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+  ],
+
   // 3. Basic Info (from Details Form)
   name: {
     type: String,
@@ -36,6 +63,16 @@ const GoatSchema = new mongoose.Schema({
     required: true,
   },
 
+  // 3b. Parentage (for pedigrees and inbreeding checks)
+  sire: {
+    type: ParentSchema,
+    required: false,
+  },
+  dam: {
+    type: ParentSchema,
+    required: false,
+  },
+
   // 4. Physical Metrics (from Sensors)
   weight: {
     type: Number,
@@ -51,6 +88,11 @@ const GoatSchema = new mongoose.Schema({
     type: [String], 
     default: ["Healthy"],
   },
+  // Latest meat/milk withdrawal end date from the health log (see HealthEvent)
+  withdrawalUntil: {
+    type: Date,
+    required: false,
+  },
 
   // 6. Marketplace Data (New Fields)
   price: {
@@ -72,10 +114,69 @@ const GoatSchema = new mongoose.Schema({
     type: Date,
     required: false, // Optional, because not all goats are for sale
   },
+  isReserved: {
+    type: Boolean,
+    required: false,
+    default: false,  // Set when the seller accepts an offer
+  },
+  soldPrice: {
+    type: Number,
+    required: false,
+  },
+  soldAt: {
+    type: Date,
+    required: false,
+  },
+
+  // 7. Previous owners, oldest first (appended on every completed sale)
+  ownershipHistory: [
+    {
+      _id: false,
+      owner: { type: mongoose.Schema.Types.ObjectId, ref: "Farm" },
+      from: Date,
+      to: Date,
+      salePrice: Number,
+      offer: { type: mongoose.Schema.Types.ObjectId, ref: "Offer" },
+    },
+  ],
+
   addedAt: {
     type: Date,
     default: Date.now,
   },
+
+  // 8. Archive (set instead of deleting, so herd statistics keep the record)
+  archivedAt: {
+    type: Date,
+    required: false,
+  },
+  archiveReason: {
+    type: String,
+    enum: ["sold", "died", "culled", "transferred"],
+    required: false,
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: false,
+  },
+
+  // 9. Moderation (an admin took the listing off the marketplace)
+  takedown: {
+    at: { type: Date },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, trim: true },
+    // Taken down because the seller was suspended; undone on unsuspend
+    bySuspension: { type: Boolean },
+  },
 });
 
+GoatSchema.index({ "sire.goat": 1 });
+GoatSchema.index({ "tagHistory.rfidTag": 1 });
+GoatSchema.index({ "dam.goat": 1 });
+GoatSchema.index({ "ownershipHistory.owner": 1 }); // Farm "goats sold" counts
+
+// updatedAt drives the offline sync delta (see routes/sync.js)
+GoatSchema.set("timestamps", { createdAt: false, updatedAt: true });
+
 module.exports = mongoose.model("Goat", GoatSchema);
\ No newline at end of file
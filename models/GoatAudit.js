@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// One change to a goat record: who made it, when, and each field's value
+// before and after. Written by utils/audit.js, never edited.
+// Weights and health tags also change through measurements and the health
+// log, which keep their own history.
+const GoatAuditSchema = new mongoose.Schema({
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+  // The farm(s) that owned the goat around the change: two for a sale, so
+  // it shows up in both activity feeds
+  farms: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Farm",
+    },
+  ],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: false, // Empty for changes the server makes on its own
+  },
+  action: {
+    type: String,
+    enum: [
+      "create",
+      "update",
+      "archive",
+      "restore",
+      "purge",
+      "retag",
+      "transfer",
+      "image_added",
+      "image_removed",
+      "images_reordered",
+      "primary_image",
+    ],
+    required: true,
+  },
+  // Where the change came in
+  source: {
+    type: String,
+    enum: ["app", "sync", "import", "marketplace", "admin"],
+    default: "app",
+  },
+  // { field: { from, to } } for every field that changed
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  // Details that aren't goat fields (the image, the archive reason, ...)
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+GoatAuditSchema.index({ goat: 1, at: -1 });
+GoatAuditSchema.index({ farms: 1, at: -1 });
+
+module.exports = mongoose.model("GoatAudit", GoatAuditSchema);
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 86400000;
+
+const HealthEventSchema = new mongoose.Schema({
+  goatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+
+  // 1. What happened and when
+  type: {
+    type: String,
+    enum: ["vaccination", "deworming", "illness", "treatment", "vet_visit"],
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+
+  // 2. Drug details (vaccination, deworming, treatment)
+  drug: {
+    type: String,
+    trim: true,
+  },
+  dose: {
+    type: String, // Free text like "2 ml" or "1 tablet"
+    trim: true,
+  },
+
+  // 3. Withdrawal periods. The "Until" dates are computed on save.
+  meatWithdrawalDays: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  milkWithdrawalDays: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  meatWithdrawalUntil: Date,
+  milkWithdrawalUntil: Date,
+
+  // 4. Illness / vet visit details
+  vetName: {
+    type: String,
+    trim: true,
+  },
+  resolvedAt: {
+    type: Date,
+    required: false, // An illness with no resolvedAt is still active
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+HealthEventSchema.index({ goatId: 1, date: -1 });
+
+HealthEventSchema.pre("save", function () {
+  const start = this.date.getTime();
+  this.meatWithdrawalUntil = this.meatWithdrawalDays
+    ? new Date(start + this.meatWithdrawalDays * DAY_MS)
+    : undefined;
+  this.milkWithdrawalUntil = this.milkWithdrawalDays
+    ? new Date(start + this.milkWithdrawalDays * DAY_MS)
+    : undefined;
+});
+
+// updatedAt drives the offline sync delta (see routes/sync.js)
+HealthEventSchema.set("timestamps", { createdAt: false, updatedAt: true });
+
+module.exports = mongoose.model("HealthEvent", HealthEventSchema);
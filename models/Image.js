@@ -14,6 +14,22 @@ const ImageSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Resized copies generated on upload (see utils/images.js)
+  thumbnailUrl: String,
+  mediumUrl: String,
+  mimeType: String,
+  size: Number, // Original file size in bytes
+
+  // Display order within the goat's gallery (0 = first)
+  position: {
+    type: Number,
+    default: 0,
+  },
+  // The photo used for mainPhoto / mainPhotoPath. One per goat.
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
   notes: String,
   uploadedAt: {
     type: Date,
@@ -21,4 +37,9 @@ const ImageSchema = new mongoose.Schema({
   },
 });
 
+ImageSchema.index({ goatId: 1, position: 1 });
+
+// updatedAt drives the offline sync delta (see routes/sync.js)
+ImageSchema.set("timestamps", { createdAt: false, updatedAt: true });
+
 module.exports = mongoose.model("Image", ImageSchema);
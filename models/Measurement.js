@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const MeasurementSchema = new mongoose.Schema({
+  goatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+
+  // Either value may be missing (e.g. a scale with no height sensor)
+  weight: {
+    type: Number,
+    required: false,
+  },
+  height: {
+    type: Number,
+    required: false,
+  },
+
+  // Where the reading came from
+  source: {
+    type: String,
+    enum: ["sensor", "manual", "import"],
+    default: "sensor",
+  },
+  sensorId: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+
+  // When the goat was actually measured (not when the server received it)
+  measuredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: false,
+  },
+});
+
+MeasurementSchema.index({ goatId: 1, measuredAt: 1 });
+
+// updatedAt drives the offline sync delta (see routes/sync.js)
+MeasurementSchema.set("timestamps", { createdAt: false, updatedAt: true });
+
+module.exports = mongoose.model("Measurement", MeasurementSchema);
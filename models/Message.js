@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    required: true,
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Read receipt: when the other participant first saw it
+  readAt: {
+    type: Date,
+    required: false,
+  },
+});
+
+MessageSchema.index({ conversation: 1, sentAt: -1 });
+
+module.exports = mongoose.model("Message", MessageSchema);
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const NotificationSchema = new mongoose.Schema({
+  // Who sees it
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["price_drop", "reserved", "sold", "new_listing", "taken_down"],
+    required: true,
+  },
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false,
+  },
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: false,
+  },
+
+  // Ready-to-show text, plus the numbers behind it (e.g. { from, to } prices)
+  message: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+
+  readAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+
+// Old notifications are only noise; drop them after 90 days
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 86400 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+
+const OfferSchema = new mongoose.Schema({
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  // Where the goat goes on completion. Empty when the buyer has no farm yet;
+  // one is made for them then (see ensureOwnFarm).
+  buyerFarm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: false,
+  },
+
+  // "offer" names a price, "reservation" takes the listed price as-is
+  type: {
+    type: String,
+    enum: ["offer", "reservation"],
+    default: "offer",
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  counterAmount: {
+    type: Number,
+    min: 0,
+  },
+  message: {
+    type: String,
+    trim: true,
+  },
+
+  // pending -> (countered) -> accepted -> completed
+  // Any open offer can also end as declined, withdrawn or cancelled.
+  status: {
+    type: String,
+    enum: [
+      "pending",
+      "countered",
+      "accepted",
+      "declined",
+      "withdrawn",
+      "cancelled",
+      "completed",
+    ],
+    default: "pending",
+  },
+
+  // Every step of the negotiation, oldest first
+  history: [
+    {
+      _id: false,
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      action: String,
+      amount: Number,
+      at: { type: Date, default: Date.now },
+    },
+  ],
+
+  salePrice: Number, // Agreed price, set on accept
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+OfferSchema.index({ goat: 1, status: 1 });
+OfferSchema.index({ buyer: 1, createdAt: -1 });
+OfferSchema.index({ seller: 1, createdAt: -1 });
+
+OfferSchema.pre("save", function () {
+  this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model("Offer", OfferSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // We only store a SHA-256 hash, never the raw token the client holds
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    required: false, // Set on logout or when the token is rotated
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// MongoDB removes expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const ScanEventSchema = new mongoose.Schema({
+  rfidTag: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  goatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false, // Empty when the tag isn't registered to any goat
+  },
+  result: {
+    type: String,
+    enum: ["matched", "unregistered", "retired", "forbidden"],
+    required: true,
+  },
+
+  // Which reader / phone did the scan
+  readerId: {
+    type: String,
+    trim: true,
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+
+  // Set when the scan carried weight/height readings
+  measurementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Measurement",
+  },
+
+  scannedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ScanEventSchema.index({ goatId: 1, scannedAt: -1 });
+ScanEventSchema.index({ scannedBy: 1, scannedAt: -1 });
+
+module.exports = mongoose.model("ScanEvent", ScanEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// One record per client operation we've applied, so a batch that is
+// re-sent after a dropped connection doesn't apply anything twice
+const SyncOperationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  opId: {
+    type: String, // Generated by the app (e.g. a UUID)
+    required: true,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+SyncOperationSchema.index({ user: 1, opId: 1 }, { unique: true });
+SyncOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 86400 });
+
+module.exports = mongoose.model("SyncOperation", SyncOperationSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// Something to do for a goat by a certain day: a booster, a deworming, a
+// kidding to watch for. Generated from the herd records by utils/tasks.js;
+// members only complete or snooze them.
+const TaskSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["vaccination", "deworming", "kidding", "weaning", "weighing"],
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  // The record and due day it came from, like "deworming:<eventId>:2026-01-31".
+  // A new dose or an edited date gives a new key, so a fresh task.
+  key: {
+    type: String,
+    required: true,
+  },
+
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  // When to bring it up: dueAt, or later once snoozed
+  remindAt: {
+    type: Date,
+    required: true,
+  },
+
+  // "resolved" = closed by the server because the record moved on (a new
+  // dose, the goat was sold or archived, the breeding ended)
+  status: {
+    type: String,
+    enum: ["open", "done", "resolved"],
+    default: "open",
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  notes: {
+    type: String,
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TaskSchema.index({ farm: 1, key: 1 }, { unique: true });
+TaskSchema.index({ farm: 1, status: 1, remindAt: 1 });
+
+module.exports = mongoose.model("Task", TaskSchema);
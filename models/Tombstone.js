@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Remembers deleted records so offline devices can drop them on next sync
+const TombstoneSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    enum: ["goat", "image", "healthEvent", "measurement"],
+    required: true,
+  },
+  docId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // The farm whose devices need to hear about it
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TombstoneSchema.index({ owner: 1, deletedAt: 1 });
+
+// Kept for 90 days. Devices that haven't synced since then get a full resync.
+TombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: 90 * 86400 });
+
+module.exports = mongoose.model("Tombstone", TombstoneSchema);
@@ -12,22 +12,46 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
-  // === NEW FIELDS ===
-  farmName: {
+  // farmer: keeps goats on one or more farms (see models/Farm.js).
+  // buyer: browses and buys. vet: a buyer farms can give access to their
+  // health records. admin: moderation. See utils/roles.js.
+  role: {
+    type: String,
+    enum: ["farmer", "buyer", "vet", "admin"],
+    default: "farmer",
+  },
+  // The person's name, shown in messages, offers and farm member lists.
+  // Farm names and addresses live on the Farm.
+  name: {
     type: String,
-    required: true,
     trim: true,
+    maxlength: 100,
+  },
+  // === ACCOUNT ===
+  emailVerifiedAt: {
+    type: Date, // Empty until the emailed link is opened
   },
-  address: {
+  passwordChangedAt: {
+    type: Date, // Access tokens issued before this are rejected
+  },
+  // === MODERATION ===
+  suspendedAt: {
+    type: Date, // Set by an admin; the account can't log in while set
+  },
+  suspendedReason: {
     type: String,
-    required: true, // Now Mandatory
     trim: true,
   },
-  // ==================
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+UserSchema.index({ role: 1 });
+
 module.exports = mongoose.model("User", UserSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// A farm letting a vet see (read) or also record (write) its goats'
+// health events. Revoking deletes the record.
+const VetAccessSchema = new mongoose.Schema({
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: true,
+  },
+  vet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  permission: {
+    type: String,
+    enum: ["read", "write"],
+    required: true,
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+VetAccessSchema.index({ farm: 1, vet: 1 }, { unique: true });
+VetAccessSchema.index({ vet: 1 });
+
+module.exports = mongoose.model("VetAccess", VetAccessSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// A saved goat or a followed farm. Exactly one of goat / farm is set.
+const WatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  goat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Goat",
+    required: false,
+  },
+  farm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Farm",
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// No duplicates, and fast "who is watching this?" lookups for notifications
+WatchSchema.index(
+  { goat: 1, user: 1 },
+  { unique: true, partialFilterExpression: { goat: { $exists: true } } }
+);
+WatchSchema.index(
+  { farm: 1, user: 1 },
+  { unique: true, partialFilterExpression: { farm: { $exists: true } } }
+);
+WatchSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Watch", WatchSchema);
@@ -0,0 +1,258 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+
+const User = require("../models/User");
+const Farm = require("../models/Farm");
+const { requireAuth } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const {
+  signAccessToken,
+  issueRefreshToken,
+  revokeAllRefreshTokens,
+  consumeAccountToken,
+} = require("../utils/tokens");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  deleteAccount,
+} = require("../utils/account");
+const authSchemas = require("../validators/auth");
+
+const router = express.Router();
+
+const hashPassword = async (password) =>
+  bcrypt.hash(password, await bcrypt.genSalt(10));
+
+// Loads the caller WITH the password hash and checks `password` against it
+const checkPassword = async (req, password) => {
+  const user = await User.findById(req.user._id);
+  if (!user || !(await bcrypt.compare(password, user.password))) {
+    throw new ApiError(401, "Password is incorrect", {
+      password: "Is incorrect",
+    });
+  }
+  return user;
+};
+
+const accountResponse = (user) => {
+  const data = user.toObject();
+  delete data.password;
+  data.emailVerified = Boolean(user.emailVerifiedAt);
+  return data;
+};
+
+// Sets a new password and logs out every existing session
+const setPassword = async (user, password) => {
+  user.password = await hashPassword(password);
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await revokeAllRefreshTokens(user._id);
+};
+
+// A. MY ACCOUNT
+// With the farms the user is on and their role on each
+router.get("/account", requireAuth, async (req, res, next) => {
+  try {
+    const farms = await Farm.find({ "members.user": req.user._id })
+      .select("farmName logoThumbnailUrl members")
+      .lean();
+
+    res.json({
+      ...accountResponse(req.user),
+      farms: farms.map(({ members, ...farm }) => ({
+        ...farm,
+        role: members.find((m) => m.user.equals(req.user._id)).role,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// B. CONFIRM EMAIL (link from the verification or email-change email)
+// Body: { token }
+router.post(
+  "/account/verify-email",
+  validate({ body: authSchemas.verifyEmail }),
+  async (req, res, next) => {
+    try {
+      const record = await consumeAccountToken(req.body.token, [
+        "verify_email",
+        "change_email",
+      ]);
+      if (!record) {
+        throw new ApiError(400, "This link is invalid or has expired");
+      }
+
+      const user = await User.findById(record.user);
+      if (!user) throw new ApiError(404, "Account not found");
+
+      if (record.purpose === "change_email") {
+        const taken = await User.exists({
+          email: record.newEmail,
+          _id: { $ne: user._id },
+        });
+        if (taken) {
+          throw new ApiError(409, "Email already exists.", {
+            email: "Already registered",
+          });
+        }
+        user.email = record.newEmail;
+      }
+
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      res.json({ message: "Email confirmed", email: user.email });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. RESEND VERIFICATION EMAIL
+router.post(
+  "/account/verify-email/resend",
+  requireAuth,
+  async (req, res, next) => {
+    try {
+      if (req.user.emailVerifiedAt) {
+        throw new ApiError(409, "Email is already confirmed");
+      }
+
+      await sendVerificationEmail(req.user);
+      res.json({ message: "Verification email sent" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. FORGOT PASSWORD
+// Body: { email }. Always answers the same way so it can't be used to find
+// out which emails have accounts.
+router.post(
+  "/account/forgot-password",
+  validate({ body: authSchemas.forgotPassword }),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (user) await sendPasswordResetEmail(user);
+
+      res.json({
+        message: "If that email has an account, a reset link is on its way",
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. RESET PASSWORD (link from the reset email)
+// Body: { token, password }
+router.post(
+  "/account/reset-password",
+  validate({ body: authSchemas.resetPassword }),
+  async (req, res, next) => {
+    try {
+      const record = await consumeAccountToken(
+        req.body.token,
+        "reset_password"
+      );
+      if (!record) {
+        throw new ApiError(400, "This link is invalid or has expired");
+      }
+
+      const user = await User.findById(record.user);
+      if (!user) throw new ApiError(404, "Account not found");
+
+      await setPassword(user, req.body.password);
+
+      // The link proved they own the mailbox
+      if (!user.emailVerifiedAt) {
+        user.emailVerifiedAt = new Date();
+        await user.save();
+      }
+
+      res.json({ message: "Password updated. Please log in." });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. CHANGE PASSWORD
+// Body: { currentPassword, newPassword }. Other sessions are logged out;
+// this one gets fresh tokens.
+router.put(
+  "/account/password",
+  requireAuth,
+  validate({ body: authSchemas.changePassword }),
+  async (req, res, next) => {
+    try {
+      const user = await checkPassword(req, req.body.currentPassword);
+      await setPassword(user, req.body.newPassword);
+
+      res.json({
+        status: "ok",
+        accessToken: signAccessToken(user),
+        refreshToken: await issueRefreshToken(user),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// G. CHANGE LOGIN EMAIL
+// Body: { password, newEmail }. The new address gets a confirmation link;
+// the login only changes once it's opened (see B).
+router.put(
+  "/account/email",
+  requireAuth,
+  validate({ body: authSchemas.changeEmail }),
+  async (req, res, next) => {
+    try {
+      const user = await checkPassword(req, req.body.password);
+      const newEmail = req.body.newEmail.toLowerCase();
+
+      if (newEmail === user.email) {
+        throw new ApiError(400, "Validation failed", {
+          newEmail: "Is already your email",
+        });
+      }
+      if (await User.exists({ email: newEmail })) {
+        throw new ApiError(409, "Email already exists.", {
+          newEmail: "Already registered",
+        });
+      }
+
+      await sendEmailChangeEmail(user, newEmail);
+      res.json({ message: `Confirmation sent to ${newEmail}` });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// H. DELETE ACCOUNT
+// Body: { password }. Permanent: see deleteAccount() for what goes with it.
+router.delete(
+  "/account",
+  requireAuth,
+  validate({ body: authSchemas.deleteAccount }),
+  async (req, res, next) => {
+    try {
+      const user = await checkPassword(req, req.body.password);
+      await deleteAccount(user);
+
+      res.json({ message: "Account deleted" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require("express");
+
+const User = require("../models/User");
+const Farm = require("../models/Farm");
+const Goat = require("../models/Goat");
+const Notification = require("../models/Notification");
+const { requireAuth, requireRole } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { activeListing } = require("../utils/goats");
+const { revokeAllRefreshTokens } = require("../utils/tokens");
+const { auditGoat, auditGoats } = require("../utils/audit");
+const { usersQuery, setRole, withReason } = require("../validators/admin");
+
+const router = express.Router();
+
+// Everything here is for admins only
+const onlyAdmins = [requireAuth, requireRole("admin")];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Loads :id into req.target, refusing to act on the caller's own account
+const loadTarget = async (req, res, next) => {
+  try {
+    if (req.params.id === String(req.user._id)) {
+      throw new ApiError(400, "You can't moderate your own account");
+    }
+
+    const user = await User.findById(req.params.id).select("-password");
+    if (!user) throw new ApiError(404, "User not found");
+
+    req.target = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const ownedFarmIds = (user) =>
+  Farm.find({
+    members: { $elemMatch: { user: user._id, role: "owner" } },
+  }).distinct("_id");
+
+// Sets (or with null, lifts) the takedown on every goat matching `filter`,
+// with an audit entry for each
+const setTakedowns = async (filter, takedown, admin) => {
+  const goats = await Goat.find(filter).select("owner takedown");
+  await Goat.updateMany(
+    { _id: { $in: goats.map((g) => g._id) } },
+    takedown ? { $set: { takedown } } : { $unset: { takedown: 1 } }
+  );
+
+  await auditGoats(
+    goats.map((goat) => ({
+      action: "update",
+      user: admin,
+      before: goat,
+      after: { ...goat.toObject(), takedown },
+      source: "admin",
+    }))
+  );
+  return goats.length;
+};
+
+// A. LIST USERS
+// ?role=buyer&suspended=true&q=<email, name or farm>, newest first
+router.get(
+  "/admin/users",
+  ...onlyAdmins,
+  validate({ query: usersQuery }),
+  async (req, res, next) => {
+    try {
+      const { role, suspended, q, limit, before } = req.validQuery;
+
+      const filter = {};
+      if (role) filter.role = role;
+      if (suspended !== undefined) {
+        filter.suspendedAt = { $exists: suspended };
+      }
+      if (q) {
+        const pattern = new RegExp(escapeRegex(q), "i");
+        const onMatchingFarms = await Farm.find({ farmName: pattern }).distinct(
+          "members.user"
+        );
+        filter.$or = [
+          { email: pattern },
+          { name: pattern },
+          { _id: { $in: onMatchingFarms } },
+        ];
+      }
+      if (before) filter.createdAt = { $lt: before };
+
+      const users = await User.find(filter)
+        .select("-password")
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      res.json({
+        users,
+        nextBefore:
+          users.length === limit ? users[users.length - 1].createdAt : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. CHANGE A USER'S ROLE
+// Body: { role }. Only farmers work on farms, so someone still on one has
+// to leave (or be removed) before becoming anything else.
+router.put(
+  "/admin/users/:id/role",
+  ...onlyAdmins,
+  validateId(),
+  validate({ body: setRole }),
+  loadTarget,
+  async (req, res, next) => {
+    try {
+      const user = req.target;
+
+      if (
+        req.body.role !== "farmer" &&
+        (await Farm.exists({ "members.user": user._id }))
+      ) {
+        throw new ApiError(409, "This account is still a member of a farm");
+      }
+
+      user.role = req.body.role;
+      await user.save();
+
+      res.json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. SUSPEND A USER
+// Body: { reason }. Logs them out everywhere. The farms they own are hidden
+// and their listings taken down until they're unsuspended.
+router.post(
+  "/admin/users/:id/suspend",
+  ...onlyAdmins,
+  validateId(),
+  validate({ body: withReason }),
+  loadTarget,
+  async (req, res, next) => {
+    try {
+      const user = req.target;
+      if (user.suspendedAt) {
+        throw new ApiError(409, "This account is already suspended");
+      }
+
+      user.suspendedAt = new Date();
+      user.suspendedReason = req.body.reason;
+      user.suspendedBy = req.user._id;
+      await user.save();
+      await revokeAllRefreshTokens(user._id);
+
+      const farms = await ownedFarmIds(user);
+      await Farm.updateMany(
+        { _id: { $in: farms } },
+        { $set: { suspendedAt: user.suspendedAt } }
+      );
+      const modifiedCount = await setTakedowns(
+        { owner: { $in: farms }, ...activeListing },
+        {
+          at: new Date(),
+          by: req.user._id,
+          reason: "Seller suspended",
+          bySuspension: true,
+        },
+        req.user
+      );
+
+      console.log(`🚫 Suspended ${user.email} (${modifiedCount} listings)`);
+      res.json({ user, listingsTakenDown: modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. LIFT A SUSPENSION (listings taken down with it come back)
+router.post(
+  "/admin/users/:id/unsuspend",
+  ...onlyAdmins,
+  validateId(),
+  loadTarget,
+  async (req, res, next) => {
+    try {
+      const user = req.target;
+      if (!user.suspendedAt) {
+        throw new ApiError(409, "This account isn't suspended");
+      }
+
+      user.suspendedAt = undefined;
+      user.suspendedReason = undefined;
+      user.suspendedBy = undefined;
+      await user.save();
+
+      const farms = await ownedFarmIds(user);
+      await Farm.updateMany(
+        { _id: { $in: farms } },
+        { $unset: { suspendedAt: 1 } }
+      );
+      const modifiedCount = await setTakedowns(
+        { owner: { $in: farms }, "takedown.bySuspension": true },
+        null,
+        req.user
+      );
+
+      res.json({ user, listingsRestored: modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. TAKE DOWN A LISTING
+// Body: { reason }. The goat leaves the marketplace and the farm's members
+// are told why; it can't be relisted until an admin restores it.
+router.post(
+  "/admin/goats/:id/takedown",
+  ...onlyAdmins,
+  validateId(),
+  validate({ body: withReason }),
+  async (req, res, next) => {
+    try {
+      const goat = await Goat.findById(req.params.id);
+      if (!goat) throw new ApiError(404, "Goat not found");
+      if (goat.takedown.at) {
+        throw new ApiError(409, "This listing is already taken down");
+      }
+
+      const before = goat.toObject();
+      goat.takedown = {
+        at: new Date(),
+        by: req.user._id,
+        reason: req.body.reason,
+      };
+      await goat.save();
+      await auditGoat("update", req.user, before, goat, { source: "admin" });
+
+      const farm = await Farm.findById(goat.owner).select("members").lean();
+      await Notification.insertMany(
+        (farm ? farm.members : []).map((member) => ({
+          user: member.user,
+          type: "taken_down",
+          goat: goat._id,
+          farm: goat.owner,
+          message: `${goat.name} was removed from the marketplace: ${req.body.reason}`,
+          data: { reason: req.body.reason },
+        }))
+      );
+
+      res.json(goat);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. RESTORE A TAKEN-DOWN LISTING
+router.delete(
+  "/admin/goats/:id/takedown",
+  ...onlyAdmins,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      const goat = await Goat.findById(req.params.id);
+      if (!goat) throw new ApiError(404, "Goat not found");
+      if (!goat.takedown.at) {
+        throw new ApiError(409, "This listing isn't taken down");
+      }
+
+      const before = goat.toObject();
+      goat.takedown = undefined;
+      await goat.save();
+      await auditGoat("update", req.user, before, goat, { source: "admin" });
+
+      res.json(goat);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
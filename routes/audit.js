@@ -0,0 +1,100 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const GoatAudit = require("../models/GoatAudit");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { farmIdsOf } = require("../utils/farms");
+const { encodeCursor, afterCursor } = require("../utils/cursors");
+const { historyQuery, activityQuery } = require("../validators/audit");
+
+const router = express.Router();
+
+// Who changed what on goat records, written by utils/audit.js. Entries are
+// filed under the farm(s) that owned the goat at the time, so a farm keeps
+// the history of a goat it sold but never sees the buyer's changes.
+
+// Newest first, with `nextCursor` for the next page (see utils/cursors.js)
+const pageOf = (entries, limit) => {
+  const last = entries[entries.length - 1];
+  return {
+    entries,
+    nextCursor:
+      entries.length === limit ? encodeCursor(last.at, last._id) : null,
+  };
+};
+
+// A. ONE GOAT'S HISTORY (Any member of a farm that owns or owned it)
+// ?cursor=<nextCursor of the last page>&limit=30. Admins see every entry.
+router.get(
+  "/goats/:id/history",
+  requireAuth,
+  validateId(),
+  validate({ query: historyQuery }),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor } = req.validQuery;
+      const isAdmin = req.user.role === "admin";
+      const myFarms = isAdmin ? [] : await farmIdsOf(req.user._id, "herd");
+
+      const entries = await GoatAudit.find({
+        goat: req.params.id,
+        ...(!isAdmin && { farms: { $in: myFarms } }),
+        ...afterCursor("at", cursor),
+      })
+        .sort({ at: -1, _id: -1 })
+        .limit(limit)
+        .populate("user", "name")
+        .lean();
+
+      // Nothing to show: tell apart a stranger's goat from one with no
+      // history yet (added before the log existed)
+      if (entries.length === 0 && !cursor) {
+        const goat = await Goat.findById(req.params.id).select("owner").lean();
+        if (!goat) throw new ApiError(404, "Goat not found");
+        if (!isAdmin && !myFarms.some((id) => id.equals(goat.owner))) {
+          throw new ApiError(403, "You do not own this goat");
+        }
+      }
+
+      res.json(pageOf(entries, limit));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. FARM ACTIVITY FEED (Owner and managers)
+// ?goat=<id>, ?user=<id>, ?action=update, ?cursor=<nextCursor>, ?limit=30
+router.get(
+  "/farms/:id/activity",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ query: activityQuery }),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor, goat, user, action } = req.validQuery;
+
+      const entries = await GoatAudit.find({
+        farms: req.farm._id,
+        ...(goat && { goat }),
+        ...(user && { user }),
+        ...(action && { action }),
+        ...afterCursor("at", cursor),
+      })
+        .sort({ at: -1, _id: -1 })
+        .limit(limit)
+        .populate("user", "name")
+        .populate("goat", "name rfidTag")
+        .lean();
+
+      res.json(pageOf(entries, limit));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const BreedingEvent = require("../models/BreedingEvent");
+const { requireAuth, requireGoatAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { recordMeasurement } = require("../utils/growth");
+const {
+  MAX_GENERATIONS,
+  getPedigree,
+  inbreedingCoefficient,
+} = require("../utils/pedigree");
+const { farmIdsOf } = require("../utils/farms");
+const { ApiError } = require("../utils/errors");
+const {
+  newBreeding,
+  updateBreeding,
+  kidding,
+  pedigreeQuery,
+  inbreedingQuery,
+} = require("../validators/breeding");
+
+const router = express.Router();
+
+// A. RECORD A MATING (The goat in :id is the doe)
+router.post(
+  "/goats/:id/breedings",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ body: newBreeding }),
+  async (req, res, next) => {
+    try {
+      const doe = req.goat;
+      const { buckId, externalBuck, matingDate, method, gestationDays, notes } =
+        req.body;
+
+      if (doe.gender !== "Female") {
+        throw new ApiError(400, "Only a doe can be bred");
+      }
+
+      // The buck may belong to any farm, so we only check it exists
+      if (buckId) {
+        const buck = await Goat.findById(buckId).select("gender");
+        if (!buck) throw new ApiError(404, "Buck not found");
+        if (buck.gender !== "Male") {
+          throw new ApiError(400, "The buck must be male");
+        }
+      }
+
+      const breeding = new BreedingEvent({
+        doe: doe._id,
+        buck: buckId,
+        externalBuck: buckId ? undefined : externalBuck,
+        owner: req.farm._id,
+        matingDate,
+        method,
+        gestationDays,
+        notes,
+      });
+      await breeding.save();
+
+      res.status(201).json(breeding);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. LIST A DOE'S BREEDINGS (Newest first)
+router.get(
+  "/goats/:id/breedings",
+  requireAuth,
+  requireGoatAccess("herd"),
+  async (req, res, next) => {
+    try {
+      const breedings = await BreedingEvent.find({ doe: req.goat._id })
+        .sort({ matingDate: -1 })
+        .populate("buck", "name breed rfidTag")
+        .lean();
+
+      res.json(breedings);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. UPDATE A BREEDING (Confirm pregnancy, mark failed, fix dates)
+router.put(
+  "/breedings/:breedingId",
+  requireAuth,
+  validateId("breedingId"),
+  validate({ body: updateBreeding }, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const { breedingId } = req.params;
+
+      const breeding = await BreedingEvent.findOne({
+        _id: breedingId,
+        owner: { $in: await farmIdsOf(req.user._id, "herd") },
+      });
+      if (!breeding) throw new ApiError(404, "Breeding not found");
+
+      breeding.set(req.body);
+      await breeding.save();
+
+      res.json(breeding);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. RECORD KIDDING (Creates the kid Goat records in one call)
+// Body: { date, kidsBorn, notes, kids: [{ rfidTag, name, gender, weight, height }] }
+router.post(
+  "/breedings/:breedingId/kidding",
+  requireAuth,
+  validateId("breedingId"),
+  validate({ body: kidding }),
+  async (req, res, next) => {
+    try {
+      const { breedingId } = req.params;
+      const { date, kidsBorn, notes, kids } = req.body;
+
+      const breeding = await BreedingEvent.findOne({
+        _id: breedingId,
+        owner: { $in: await farmIdsOf(req.user._id, "herd") },
+      });
+      if (!breeding) throw new ApiError(404, "Breeding not found");
+      if (breeding.status === "kidded") {
+        throw new ApiError(409, "Kidding already recorded");
+      }
+
+      const doe = await Goat.findById(breeding.doe).select("name breed");
+      if (!doe) throw new ApiError(404, "Doe not found");
+
+      const birthDate = date || new Date();
+      const sire = breeding.buck
+        ? { goat: breeding.buck }
+        : breeding.externalBuck;
+
+      // 1. Build and validate every kid before writing any of them
+      const kidDocs = kids.map(
+        (kid) =>
+          new Goat({
+            owner: breeding.owner,
+            rfidTag: kid.rfidTag,
+            name: kid.name,
+            gender: kid.gender,
+            breed: kid.breed || doe.breed,
+            birthDate,
+            weight: kid.weight,
+            height: kid.height,
+            sire,
+            dam: { goat: doe._id, name: doe.name },
+          })
+      );
+
+      for (const [index, kid] of kidDocs.entries()) {
+        try {
+          await kid.validate();
+        } catch (validationErr) {
+          const fields = {};
+          for (const [path, fieldErr] of Object.entries(
+            validationErr.errors || {}
+          )) {
+            fields[`kids.${index}.${path}`] = fieldErr.message;
+          }
+          throw new ApiError(400, "Validation failed", fields);
+        }
+      }
+
+      // 2. Insert them. If one fails (e.g. duplicate rfidTag) undo the rest.
+      let created;
+      try {
+        created = await Goat.insertMany(kidDocs);
+      } catch (insertErr) {
+        await Goat.deleteMany({ _id: { $in: kidDocs.map((k) => k._id) } });
+        if (insertErr.code === 11000) {
+          throw new ApiError(409, "A kid's RFID tag is already in use");
+        }
+        throw insertErr;
+      }
+
+      // 3. Birth weights start each kid's growth curve
+      for (const kid of created) {
+        await recordMeasurement(kid, {
+          weight: kid.weight,
+          height: kid.height,
+          source: "manual",
+          measuredAt: birthDate,
+          recordedBy: req.user._id,
+        });
+      }
+
+      breeding.status = "kidded";
+      breeding.kidding = {
+        date: birthDate,
+        kidsBorn: kidsBorn != null ? kidsBorn : created.length,
+        kidsAlive: created.length,
+        kids: created.map((k) => k._id),
+        notes,
+      };
+      await breeding.save();
+
+      res.status(201).json({ breeding, kids: created });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. PEDIGREE (Public, so buyers can see it. ?generations=3)
+router.get(
+  "/goats/:id/pedigree",
+  validateId(),
+  validate({ query: pedigreeQuery }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const generations = Math.min(req.validQuery.generations, MAX_GENERATIONS);
+      const pedigree = await getPedigree(id, generations);
+
+      if (!pedigree) throw new ApiError(404, "Goat not found");
+
+      res.json({ generations, pedigree });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. INBREEDING CHECK (?sireId=...&damId=... for a proposed pairing)
+router.get(
+  "/breeding/inbreeding",
+  requireAuth,
+  validate({ query: inbreedingQuery }),
+  async (req, res, next) => {
+    try {
+      const { sireId, damId } = req.validQuery;
+      const generations = Math.min(req.validQuery.generations, MAX_GENERATIONS);
+      const result = await inbreedingCoefficient(sireId, damId, generations);
+
+      res.json({ sireId, damId, generations, ...result });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
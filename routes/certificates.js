@@ -0,0 +1,233 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const Farm = require("../models/Farm");
+const Image = require("../models/Image");
+const Measurement = require("../models/Measurement");
+const Certificate = require("../models/Certificate");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { notArchived } = require("../utils/goats");
+const { farmIdsOf } = require("../utils/farms");
+const {
+  newVerificationCode,
+  normalizeCode,
+  photoForPdf,
+  renderGoatCertificate,
+  renderInventory,
+} = require("../utils/certificates");
+
+const router = express.Router();
+
+// Where printed codes point. Set PUBLIC_URL when behind a proxy.
+const verifyUrlFor = (req, code) =>
+  `${
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  }/certificates/${code}`;
+
+const parentLabel = (parent) =>
+  parent && (parent.name || parent.registration)
+    ? [parent.name, parent.registration && `(${parent.registration})`]
+        .filter(Boolean)
+        .join(" ")
+    : undefined;
+
+const issuerOf = (farm) => ({
+  id: String(farm._id),
+  farmName: farm.farmName,
+  address: farm.address,
+});
+
+// Code collisions are astronomically unlikely, but the unique index would
+// turn one into a 409, so just pick another code
+const createCertificate = async (data) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await Certificate.create({ ...data, code: newVerificationCode() });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+};
+
+const sendPdf = (res, filename, doc) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+  doc.pipe(res);
+};
+
+// A. GOAT CERTIFICATE / SALE DOCUMENT
+// The current owner gets an identity certificate. The farm that sold the
+// goat through the marketplace gets a certificate of sale with the buyer.
+// Either way it takes a role that can manage the farm.
+router.get(
+  "/goats/:id/certificate.pdf",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      const goat = await Goat.findById(req.params.id);
+      if (!goat) throw new ApiError(404, "Goat not found");
+
+      const lastSale = goat.ownershipHistory[goat.ownershipHistory.length - 1];
+      const managed = await farmIdsOf(req.user._id, "manage");
+      const isOwner = managed.some((id) => id.equals(goat.owner));
+      const isSeller =
+        !isOwner &&
+        Boolean(lastSale) &&
+        managed.some((id) => id.equals(lastSale.owner));
+      if (!isOwner && !isSeller) {
+        throw new ApiError(403, "You do not own this goat");
+      }
+
+      const [issuer, image, latest, buyer] = await Promise.all([
+        Farm.findById(isOwner ? goat.owner : lastSale.owner).select(
+          "farmName address"
+        ),
+        Image.findOne({ goatId: goat._id }).sort({
+          isPrimary: -1,
+          position: 1,
+          uploadedAt: 1,
+        }),
+        Measurement.findOne({ goatId: goat._id, weight: { $ne: null } })
+          .sort({ measuredAt: -1 })
+          .select("measuredAt"),
+        isSeller ? Farm.findById(goat.owner).select("farmName") : null,
+      ]);
+
+      const certificate = await createCertificate({
+        type: "goat",
+        goat: goat._id,
+        issuer: issuer._id,
+        issuedBy: req.user._id,
+        snapshot: {
+          issuer: issuerOf(issuer),
+          goat: {
+            name: goat.name,
+            rfidTag: goat.rfidTag,
+            breed: goat.breed,
+            gender: goat.gender,
+            birthDate: goat.birthDate,
+            weight: goat.weight,
+            weighedAt: latest ? latest.measuredAt : undefined,
+            healthStatus: goat.healthStatus,
+            withdrawalUntil:
+              goat.withdrawalUntil > new Date()
+                ? goat.withdrawalUntil
+                : undefined,
+            sire: parentLabel(goat.sire),
+            dam: parentLabel(goat.dam),
+          },
+          sale: isSeller
+            ? {
+                buyer: buyer ? buyer.farmName : undefined,
+                soldAt: lastSale.to,
+                price: lastSale.salePrice,
+              }
+            : undefined,
+        },
+      });
+
+      console.log(`📄 Certificate ${certificate.code} for goat ${goat._id}`);
+
+      const photo = await photoForPdf(image);
+      const doc = renderGoatCertificate(
+        certificate,
+        photo,
+        verifyUrlFor(req, certificate.code)
+      );
+      sendPdf(res, `goat-${goat.rfidTag}.pdf`, doc);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. HERD INVENTORY (every active goat on the farm)
+router.get(
+  "/farms/:id/inventory.pdf",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  async (req, res, next) => {
+    try {
+      const goats = await Goat.find({ owner: req.farm._id, ...notArchived })
+        .select("rfidTag name breed gender birthDate weight healthStatus")
+        .sort({ rfidTag: 1 })
+        .lean();
+
+      const certificate = await createCertificate({
+        type: "inventory",
+        issuer: req.farm._id,
+        issuedBy: req.user._id,
+        snapshot: {
+          issuer: issuerOf(req.farm),
+          goats: goats.map(({ _id, ...goat }) => goat),
+        },
+      });
+
+      console.log(
+        `📄 Inventory ${certificate.code} (${goats.length} goats) for ${req.farm._id}`
+      );
+
+      const doc = renderInventory(
+        certificate,
+        verifyUrlFor(req, certificate.code)
+      );
+      sendPdf(
+        res,
+        `inventory-${certificate.issuedAt.toISOString().slice(0, 10)}.pdf`,
+        doc
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. VERIFY (Public)
+// Returns what the document said when it was issued, plus whether the
+// goat still belongs to the issuing farm.
+router.get("/certificates/:code", async (req, res, next) => {
+  try {
+    const code = normalizeCode(req.params.code);
+    if (!code) {
+      throw new ApiError(400, "Validation failed", {
+        code: "Must be a 12-character verification code",
+      });
+    }
+
+    const certificate = await Certificate.findOne({ code }).lean();
+    if (!certificate) {
+      throw new ApiError(404, "No document was issued with this code");
+    }
+
+    const result = {
+      valid: true,
+      code: certificate.code,
+      type: certificate.type,
+      issuedAt: certificate.issuedAt,
+      ...certificate.snapshot,
+    };
+
+    if (certificate.type === "goat") {
+      const goat = await Goat.findById(certificate.goat)
+        .select("owner archivedAt archiveReason")
+        .lean();
+      result.current = goat
+        ? {
+            ownedByIssuer: goat.owner.equals(certificate.issuer),
+            archived: Boolean(goat.archivedAt),
+            archiveReason: goat.archiveReason,
+          }
+        : { deleted: true };
+    }
+
+    res.status(200).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require("express");
+
+const { requireAuth } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { farmIdsOf } = require("../utils/farms");
+const { isFull, openStream } = require("../utils/realtime");
+const {
+  marketplaceEventsQuery,
+  farmEventsQuery,
+} = require("../validators/events");
+
+const router = express.Router();
+
+// Server-Sent Events streams (utils/realtime.js). Each event has a name
+// (listing.created, goat, image, measurement, ...) and a JSON body. Open
+// with EventSource or any SSE client; on a dropped connection reconnect and
+// refetch, since missed events aren't replayed.
+
+// Browsers' EventSource can't send headers, so the access token may also
+// come as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (
+    !req.headers.authorization &&
+    typeof req.query.access_token === "string"
+  ) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const checkCapacity = (req, res, next) => {
+  if (isFull()) {
+    return next(new ApiError(503, "Too many open streams, try again later"));
+  }
+  next();
+};
+
+const matches = (filter, event) =>
+  (!filter.farm || (event.data && String(event.data.farm) === filter.farm)) &&
+  (!filter.goat || String(event.goat) === filter.goat);
+
+// A. MARKETPLACE (Public)
+// listing.created, listing.price_changed, listing.sold, listing.removed.
+// ?farm=<id> for one store, ?goat=<id> for one listing.
+router.get(
+  "/events/marketplace",
+  validate({ query: marketplaceEventsQuery }),
+  checkCapacity,
+  (req, res) => {
+    const filter = req.validQuery;
+    openStream(req, res, (event) => event.public && matches(filter, event));
+  }
+);
+
+// B. MY FARMS (Any member)
+// goat (created, edited, archived, sold, ...), image and measurement events
+// for the caller's farms, or ?farm=<id> for one of them, or ?goat=<id>.
+// ?marketplace=true adds the public events to the same stream.
+// The stream ends when the access token expires; reconnect with a fresh one.
+router.get(
+  "/events",
+  tokenFromQuery,
+  requireAuth,
+  validate({ query: farmEventsQuery }),
+  checkCapacity,
+  async (req, res, next) => {
+    try {
+      const { farm, goat, marketplace } = req.validQuery;
+
+      let farms = (await farmIdsOf(req.user._id, "herd")).map(String);
+      if (farm) {
+        if (!farms.includes(farm)) {
+          throw new ApiError(403, "You are not a member of this farm");
+        }
+        farms = [farm];
+      }
+
+      const mine = (event) =>
+        (event.farms || []).some((id) => farms.includes(String(id))) &&
+        (!goat || String(event.goat) === goat);
+
+      openStream(
+        req,
+        res,
+        (event) =>
+          event.public ? marketplace && matches({ goat }, event) : mine(event),
+        { endAt: req.tokenExpiresAt }
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
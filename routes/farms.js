@@ -0,0 +1,302 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Farm = require("../models/Farm");
+const Goat = require("../models/Goat");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { uploadSingle } = require("../middleware/upload");
+const { ApiError } = require("../utils/errors");
+const { activeListing } = require("../utils/goats");
+const { activeFarm } = require("../utils/farms");
+const {
+  saveFarmLogo,
+  deleteLogoFiles,
+  orderedImagesLookup,
+} = require("../utils/images");
+const { nearFrom, geoNearStage, roundKm } = require("../utils/geo");
+const { profile, nearQuery } = require("../validators/farms");
+
+const router = express.Router();
+
+// The store page shows this many listings; the rest are in /api/goats?farm=
+const STORE_PAGE_GOATS = 50;
+
+// What anyone may see about a farm. Never its members; buyers reach the
+// farm through /conversations.
+const PUBLIC_FARM_FIELDS = {
+  farmName: 1,
+  address: 1,
+  addressDetails: 1,
+  description: 1,
+  phone: 1,
+  logoUrl: 1,
+  logoThumbnailUrl: 1,
+  geo: 1,
+  createdAt: 1,
+};
+
+// Adds { memberSince, stats: { activeListings, goatsSold } } to each farm.
+// Sold = sold through the marketplace (ownership moved to the buyer) or
+// archived by the farm with reason "sold".
+const farmStatsStages = [
+  {
+    $lookup: {
+      from: "goats",
+      localField: "_id",
+      foreignField: "owner",
+      pipeline: [
+        {
+          $group: {
+            _id: null,
+            activeListings: {
+              $sum: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: ["$isForSale", true] },
+                      { $ne: ["$isReserved", true] },
+                      { $ne: ["$isSold", true] },
+                      { $not: [{ $ifNull: ["$archivedAt", false] }] },
+                      { $not: [{ $ifNull: ["$takedown.at", false] }] },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+            archivedAsSold: {
+              $sum: { $cond: [{ $eq: ["$archiveReason", "sold"] }, 1, 0] },
+            },
+          },
+        },
+      ],
+      as: "ownedStats",
+    },
+  },
+  {
+    $lookup: {
+      from: "goats",
+      localField: "_id",
+      foreignField: "ownershipHistory.owner",
+      pipeline: [{ $count: "count" }],
+      as: "soldStats",
+    },
+  },
+  {
+    $addFields: {
+      memberSince: "$createdAt",
+      stats: {
+        activeListings: {
+          $ifNull: [{ $first: "$ownedStats.activeListings" }, 0],
+        },
+        goatsSold: {
+          $add: [
+            { $ifNull: [{ $first: "$ownedStats.archivedAsSold" }, 0] },
+            { $ifNull: [{ $first: "$soldStats.count" }, 0] },
+          ],
+        },
+      },
+    },
+  },
+  { $project: { ownedStats: 0, soldStats: 0 } },
+];
+
+// "Purok 2" + "Brgy. San Isidro" + ... -> the one-line `address`
+const formatAddress = (parts) =>
+  ["street", "barangay", "city", "province", "region", "postalCode"]
+    .map((key) => parts[key])
+    .filter(Boolean)
+    .join(", ");
+
+// G. GET ALL FARMS (Public)
+// ?lat=&lng=&radiusKm= -> only farms within the radius, nearest first,
+// each with distanceKm. Without them every farm is listed by name.
+router.get(
+  "/api/farms",
+  validate({ query: nearQuery }),
+  async (req, res, next) => {
+    try {
+      const near = nearFrom(req.validQuery);
+
+      const farms = await Farm.aggregate(
+        near
+          ? [
+              geoNearStage(near),
+              {
+                $project: {
+                  ...PUBLIC_FARM_FIELDS,
+                  distanceKm: roundKm("$distanceKm"),
+                },
+              },
+              ...farmStatsStages,
+              { $sort: { distanceKm: 1, _id: 1 } },
+            ]
+          : [
+              { $match: activeFarm },
+              { $project: PUBLIC_FARM_FIELDS },
+              ...farmStatsStages,
+              { $sort: { farmName: 1 } },
+            ]
+      );
+
+      res.json(farms);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// H. GET SPECIFIC FARM (For Store Page)
+// The public profile, listing stats and the goats this farm has for sale
+router.get("/api/farms/:id", validateId(), async (req, res, next) => {
+  try {
+    const farmId = new mongoose.Types.ObjectId(req.params.id);
+
+    const [farm] = await Farm.aggregate([
+      { $match: { _id: farmId, ...activeFarm } },
+      { $project: PUBLIC_FARM_FIELDS },
+      ...farmStatsStages,
+    ]);
+
+    if (!farm) {
+      throw new ApiError(404, "Farm not found");
+    }
+
+    farm.goatsForSale = await Goat.aggregate([
+      { $match: { owner: farmId, ...activeListing } },
+      { $sort: { listedAt: -1, _id: -1 } },
+      { $limit: STORE_PAGE_GOATS },
+      orderedImagesLookup("goatImages"),
+      {
+        $project: {
+          name: 1,
+          breed: 1,
+          gender: 1,
+          price: 1,
+          weight: 1,
+          birthDate: 1,
+          listedAt: 1,
+          healthStatus: 1,
+          mainPhoto: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
+          mainPhotoThumbnail: {
+            $arrayElemAt: ["$goatImages.thumbnailUrl", 0],
+          },
+          underWithdrawal: { $gt: ["$withdrawalUntil", "$$NOW"] },
+        },
+      },
+    ]);
+
+    res.json(farm);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// I. EDIT FARM PROFILE
+// Body (all optional): farmName, address, description, phone,
+// addressDetails { street, barangay, city, province, region, postalCode },
+// coordinates { lat, lng } (null removes the pin)
+router.put(
+  "/farms/:id/profile",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ body: profile }, { partial: true }),
+  async (req, res, next) => {
+    try {
+      const { coordinates, addressDetails, ...fields } = req.body;
+      const farm = req.farm;
+
+      Object.assign(farm, fields);
+
+      if (addressDetails) {
+        farm.addressDetails = addressDetails;
+        // Keep the display line in step unless the client sent its own
+        if (fields.address === undefined) {
+          const line = formatAddress(addressDetails);
+          if (line) farm.address = line;
+        }
+      }
+
+      if (coordinates === null) {
+        farm.geo = undefined;
+      } else if (coordinates) {
+        // GeoJSON is [longitude, latitude]
+        farm.geo = {
+          type: "Point",
+          coordinates: [coordinates.lng, coordinates.lat],
+        };
+      }
+
+      await farm.save();
+
+      console.log(`✅ Farm profile updated: ${farm._id}`);
+      res.status(200).json(farm);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// J. UPLOAD FARM LOGO (multipart/form-data, field "logo")
+// Replaces any previous logo
+router.post(
+  "/farms/:id/logo",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  uploadSingle("logo"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new ApiError(400, "Validation failed", { logo: "Is required" });
+      }
+
+      const farm = req.farm;
+      const previous = {
+        logoUrl: farm.logoUrl,
+        logoThumbnailUrl: farm.logoThumbnailUrl,
+      };
+
+      Object.assign(
+        farm,
+        await saveFarmLogo(farm._id, req.file.buffer, req.file.mimetype)
+      );
+      await farm.save();
+      deleteLogoFiles(previous);
+
+      res.status(201).json({
+        logoUrl: farm.logoUrl,
+        logoThumbnailUrl: farm.logoThumbnailUrl,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// K. REMOVE FARM LOGO
+router.delete(
+  "/farms/:id/logo",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  async (req, res, next) => {
+    try {
+      const farm = req.farm;
+      deleteLogoFiles(farm);
+
+      farm.logoUrl = undefined;
+      farm.logoThumbnailUrl = undefined;
+      await farm.save();
+
+      res.status(200).json({ message: "Logo removed" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require("express");
+
+const HealthEvent = require("../models/HealthEvent");
+const { requireAuth, requireHealthAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { refreshHealthStatus } = require("../utils/health");
+const { recordDeletion } = require("../utils/sync");
+const { ApiError } = require("../utils/errors");
+const { healthEventsQuery, healthEvent } = require("../validators/health");
+
+const router = express.Router();
+
+// Loads :eventId into req.healthEvent, making sure it belongs to req.goat
+const loadHealthEvent = async (req, res, next) => {
+  try {
+    const event = await HealthEvent.findOne({
+      _id: req.params.eventId,
+      goatId: req.goat._id,
+    });
+    if (!event) throw new ApiError(404, "Health event not found");
+
+    req.healthEvent = event;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// The farm and any vet it granted access can read these; vets with "write"
+// access can also record and edit them (see routes/vets.js).
+
+// A. LIST HEALTH EVENTS (Newest first, optional ?type=vaccination)
+router.get(
+  "/goats/:id/health-events",
+  requireAuth,
+  requireHealthAccess("read"),
+  validate({ query: healthEventsQuery }),
+  async (req, res, next) => {
+    try {
+      const filter = { goatId: req.goat._id };
+      if (req.validQuery.type) filter.type = req.validQuery.type;
+
+      const events = await HealthEvent.find(filter).sort({ date: -1 }).lean();
+      res.json(events);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. ADD HEALTH EVENT
+router.post(
+  "/goats/:id/health-events",
+  requireAuth,
+  requireHealthAccess("write"),
+  validate({ body: healthEvent }),
+  async (req, res, next) => {
+    try {
+      const event = new HealthEvent({
+        ...req.body,
+        goatId: req.goat._id,
+        recordedBy: req.user._id,
+      });
+      // A vet recording it themselves is the vet
+      if (!event.vetName && req.user.role === "vet") {
+        event.vetName = req.user.name;
+      }
+      await event.save();
+
+      const goat = await refreshHealthStatus(req.goat._id);
+
+      res.status(201).json({ event, healthStatus: goat.healthStatus });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. GET ONE HEALTH EVENT
+router.get(
+  "/goats/:id/health-events/:eventId",
+  requireAuth,
+  requireHealthAccess("read"),
+  validateId("eventId"),
+  loadHealthEvent,
+  (req, res) => {
+    res.json(req.healthEvent);
+  }
+);
+
+// D. UPDATE HEALTH EVENT (e.g. mark an illness resolved)
+router.put(
+  "/goats/:id/health-events/:eventId",
+  requireAuth,
+  requireHealthAccess("write"),
+  validateId("eventId"),
+  validate({ body: healthEvent }, { partial: true }),
+  loadHealthEvent,
+  async (req, res, next) => {
+    try {
+      // Loaded then saved so the withdrawal dates get recomputed
+      req.healthEvent.set(req.body);
+      await req.healthEvent.save();
+
+      const goat = await refreshHealthStatus(req.goat._id);
+
+      res.json({ event: req.healthEvent, healthStatus: goat.healthStatus });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. DELETE HEALTH EVENT
+router.delete(
+  "/goats/:id/health-events/:eventId",
+  requireAuth,
+  requireHealthAccess("write"),
+  validateId("eventId"),
+  loadHealthEvent,
+  async (req, res, next) => {
+    try {
+      await req.healthEvent.deleteOne();
+      await recordDeletion("healthEvent", req.healthEvent._id, req.goat.owner);
+      const goat = await refreshHealthStatus(req.goat._id);
+
+      res.json({
+        message: "Health event deleted successfully",
+        healthStatus: goat.healthStatus,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
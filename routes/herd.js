@@ -0,0 +1,429 @@
+const express = require("express");
+const { once } = require("events");
+
+const Goat = require("../models/Goat");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId, checkObject } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { notArchived } = require("../utils/goats");
+const { refreshHealthStatus } = require("../utils/health");
+const { recordMeasurement } = require("../utils/growth");
+const { auditGoats } = require("../utils/audit");
+const { BOM, toCsvRow, csvToObjects } = require("../utils/csv");
+const { importRow } = require("../validators/goats");
+const { exportQuery, importQuery } = require("../validators/herd");
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Column name -> value for the goats export. The import reads the same
+// names back, so an exported file can be edited and re-imported as is.
+const GOAT_COLUMNS = [
+  ["rfidTag", (g) => g.rfidTag],
+  ["name", (g) => g.name],
+  ["gender", (g) => g.gender],
+  ["breed", (g) => g.breed],
+  ["birthDate", (g) => g.birthDate],
+  ["weight", (g) => g.weight],
+  ["height", (g) => g.height],
+  ["lastMeasuredAt", (g) => g.lastMeasuredAt],
+  ["measurementCount", (g) => g.measurementCount],
+  ["healthStatus", (g) => g.healthStatus],
+  ["withdrawalUntil", (g) => g.withdrawalUntil],
+  ["sireName", (g) => g.sire && g.sire.name],
+  ["sireRegistration", (g) => g.sire && g.sire.registration],
+  ["damName", (g) => g.dam && g.dam.name],
+  ["damRegistration", (g) => g.dam && g.dam.registration],
+  ["price", (g) => g.price],
+  ["isForSale", (g) => g.isForSale],
+  ["addedAt", (g) => g.addedAt],
+  ["archivedAt", (g) => g.archivedAt],
+  ["archiveReason", (g) => g.archiveReason],
+];
+
+const MEASUREMENT_COLUMNS = [
+  ["rfidTag", (m) => m.rfidTag],
+  ["name", (m) => m.name],
+  ["measuredAt", (m) => m.measuredAt && m.measuredAt.toISOString()],
+  ["weight", (m) => m.weight],
+  ["height", (m) => m.height],
+  ["source", (m) => m.source],
+  ["sensorId", (m) => m.sensorId],
+];
+
+// Writes the header and one line per document, waiting whenever the
+// socket buffer is full so a big herd never sits in memory.
+const streamCsv = async (res, filename, columns, cursor) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.write(BOM + toCsvRow(columns.map(([name]) => name)));
+
+  for await (const doc of cursor) {
+    if (!res.write(toCsvRow(columns.map(([, get]) => get(doc))))) {
+      await once(res, "drain");
+    }
+  }
+  res.end();
+};
+
+// Once the CSV has started there's no way to send a JSON error
+const csvError = (res, next) => (err) => {
+  if (!res.headersSent) return next(err);
+  console.error("❌ CSV export failed:", err);
+  res.destroy(err);
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// A. EXPORT GOATS
+// One row per goat with the latest measurement and the current health tags.
+// ?includeArchived=true adds sold/died/culled goats.
+router.get(
+  "/farms/:id/goats.csv",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ query: exportQuery }),
+  async (req, res, next) => {
+    try {
+      const cursor = Goat.aggregate([
+        {
+          $match: {
+            owner: req.farm._id,
+            ...(req.validQuery.includeArchived ? {} : notArchived),
+          },
+        },
+        {
+          $lookup: {
+            from: "measurements",
+            localField: "_id",
+            foreignField: "goatId",
+            pipeline: [
+              { $sort: { measuredAt: -1 } },
+              {
+                $group: {
+                  _id: null,
+                  last: { $first: "$measuredAt" },
+                  count: { $sum: 1 },
+                },
+              },
+            ],
+            as: "measurementStats",
+          },
+        },
+        {
+          $addFields: {
+            lastMeasuredAt: { $first: "$measurementStats.last" },
+            measurementCount: {
+              $ifNull: [{ $first: "$measurementStats.count" }, 0],
+            },
+          },
+        },
+        { $sort: { rfidTag: 1 } },
+      ]).cursor();
+
+      await streamCsv(res, `herd-${today()}.csv`, GOAT_COLUMNS, cursor);
+    } catch (err) {
+      csvError(res, next)(err);
+    }
+  }
+);
+
+// B. EXPORT MEASUREMENTS
+// The full weight/height history, one row per reading, for vets and co-ops.
+router.get(
+  "/farms/:id/measurements.csv",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ query: exportQuery }),
+  async (req, res, next) => {
+    try {
+      const cursor = Goat.aggregate([
+        {
+          $match: {
+            owner: req.farm._id,
+            ...(req.validQuery.includeArchived ? {} : notArchived),
+          },
+        },
+        { $sort: { rfidTag: 1 } },
+        {
+          $lookup: {
+            from: "measurements",
+            localField: "_id",
+            foreignField: "goatId",
+            pipeline: [{ $sort: { measuredAt: 1 } }],
+            as: "measurement",
+          },
+        },
+        { $unwind: "$measurement" },
+        {
+          $project: {
+            rfidTag: 1,
+            name: 1,
+            measuredAt: "$measurement.measuredAt",
+            weight: "$measurement.weight",
+            height: "$measurement.height",
+            source: "$measurement.source",
+            sensorId: "$measurement.sensorId",
+          },
+        },
+      ]).cursor();
+
+      await streamCsv(
+        res,
+        `measurements-${today()}.csv`,
+        MEASUREMENT_COLUMNS,
+        cursor
+      );
+    } catch (err) {
+      csvError(res, next)(err);
+    }
+  }
+);
+
+// Spreadsheet cells -> the shape importRow expects
+const rowToGoat = (row) => {
+  const gender = row.gender
+    ? row.gender.charAt(0).toUpperCase() + row.gender.slice(1).toLowerCase()
+    : undefined;
+
+  const parent = (prefix) =>
+    row[`${prefix}Name`] || row[`${prefix}Registration`]
+      ? {
+          name: row[`${prefix}Name`] || undefined,
+          registration: row[`${prefix}Registration`] || undefined,
+        }
+      : undefined;
+
+  return {
+    rfidTag: row.rfidTag,
+    name: row.name,
+    gender,
+    breed: row.breed,
+    birthDate: row.birthDate,
+    weight: row.weight,
+    height: row.height,
+    // "Healthy; Pregnant" (what the export writes) or "Healthy, Pregnant"
+    healthStatus: row.healthStatus
+      ? row.healthStatus
+          .split(/[;,]/)
+          .map((t) => t.trim())
+          .filter(Boolean)
+      : undefined,
+    sire: parent("sire"),
+    dam: parent("dam"),
+    addedAt: row.addedAt,
+  };
+};
+
+// Checks every row on its own, then against each other and the database.
+// Returns one entry per row: { row, values, errors, action }.
+const checkImport = async (rows, owner) => {
+  const report = rows.map((row, index) => {
+    const { values, errors } = checkObject(rowToGoat(row), importRow, {});
+
+    if (values.birthDate && values.birthDate > new Date()) {
+      errors.birthDate = "Cannot be in the future";
+    }
+
+    // +2: spreadsheet rows start at 1 and the first one is the header
+    return { row: index + 2, values, errors };
+  });
+
+  // 1. DUPLICATES: The same tag twice in one file
+  const firstRowOf = new Map();
+  for (const entry of report) {
+    const tag = entry.values.rfidTag;
+    if (!tag) continue;
+    if (firstRowOf.has(tag)) {
+      entry.errors.rfidTag = `Duplicate of row ${firstRowOf.get(tag)}`;
+    } else {
+      firstRowOf.set(tag, entry.row);
+    }
+  }
+
+  // 2. DATABASE: Tags owned by other farms, archived goats, retired tags
+  const tags = [...firstRowOf.keys()];
+  const existing = await Goat.find({
+    $or: [{ rfidTag: { $in: tags } }, { "tagHistory.rfidTag": { $in: tags } }],
+  })
+    .select("rfidTag owner archivedAt tagHistory.rfidTag")
+    .lean();
+
+  const byTag = new Map(existing.map((g) => [g.rfidTag, g]));
+  const retired = new Set(
+    existing.flatMap((g) => (g.tagHistory || []).map((t) => t.rfidTag))
+  );
+
+  for (const entry of report) {
+    const tag = entry.values.rfidTag;
+    if (!tag || entry.errors.rfidTag) continue;
+
+    const goat = byTag.get(tag);
+    if (goat && !goat.owner.equals(owner)) {
+      entry.errors.rfidTag = "Registered to another farm's goat";
+    } else if (goat && goat.archivedAt) {
+      entry.errors.rfidTag = "Belongs to an archived goat. Restore it first";
+    } else if (!goat && retired.has(tag)) {
+      entry.errors.rfidTag = "This tag was replaced and is no longer active";
+    }
+    entry.action = goat ? "update" : "create";
+  }
+
+  return report;
+};
+
+// C. IMPORT GOATS
+// Body: the CSV file itself (Content-Type: text/csv), same columns as the
+// export. Unknown columns are ignored.
+// Without ?confirm=true this is a dry run: nothing is saved and the response
+// lists what would be created/updated and every row-level error. With
+// confirm=true the rows are upserted by rfidTag, but only if none has errors.
+router.post(
+  "/farms/:id/goats/import",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ query: importQuery }),
+  express.text({
+    type: ["text/csv", "text/plain", "application/vnd.ms-excel"],
+    limit: "5mb",
+  }),
+  async (req, res, next) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.trim()) {
+        throw new ApiError(400, "Validation failed", {
+          file: "Send the CSV file as the request body (Content-Type: text/csv)",
+        });
+      }
+
+      const rows = csvToObjects(req.body);
+      if (rows.length === 0) {
+        throw new ApiError(400, "Validation failed", {
+          file: "No rows found below the header",
+        });
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        throw new ApiError(400, "Validation failed", {
+          file: `At most ${MAX_IMPORT_ROWS} rows per import`,
+        });
+      }
+
+      const owner = req.farm._id;
+      const report = await checkImport(rows, owner);
+
+      const errors = report
+        .filter((entry) => Object.keys(entry.errors).length > 0)
+        .map((entry) => ({
+          row: entry.row,
+          rfidTag: entry.values.rfidTag,
+          fields: entry.errors,
+        }));
+      const summary = {
+        rows: report.length,
+        create: report.filter((e) => e.action === "create").length,
+        update: report.filter((e) => e.action === "update").length,
+        errors,
+      };
+
+      if (!req.validQuery.confirm) {
+        return res.status(200).json({ dryRun: true, ...summary });
+      }
+
+      if (errors.length > 0) {
+        throw new ApiError(
+          400,
+          "Fix the row errors before importing",
+          Object.fromEntries(
+            errors.flatMap(({ row, fields }) =>
+              Object.entries(fields).map(([f, msg]) => [`row ${row}.${f}`, msg])
+            )
+          )
+        );
+      }
+
+      // 1. UPSERT: One bulk write for the whole file
+      const tags = report.map((e) => e.values.rfidTag);
+      const before = new Map(
+        (await Goat.find({ owner, rfidTag: { $in: tags } })).map((g) => [
+          g.rfidTag,
+          g,
+        ])
+      );
+      const now = new Date();
+      await Goat.bulkWrite(
+        report.map(({ values }) => {
+          const { rfidTag, addedAt, ...fields } = values;
+          return {
+            updateOne: {
+              filter: { rfidTag },
+              update: {
+                $set: { owner, ...fields },
+                $setOnInsert: { addedAt: addedAt || now },
+              },
+              upsert: true,
+            },
+          };
+        }),
+        { ordered: false }
+      );
+
+      // 2. MEASUREMENTS: Keep imported weight/height in the history, but
+      // only when new, so re-importing the same sheet adds no readings
+      const goats = await Goat.find({ owner, rfidTag: { $in: tags } }).select(
+        "rfidTag owner"
+      );
+      const goatOf = new Map(goats.map((g) => [g.rfidTag, g]));
+
+      for (const { values } of report) {
+        const previous = before.get(values.rfidTag);
+        const changed = ["weight", "height"].some(
+          (f) => values[f] != null && (!previous || values[f] !== previous[f])
+        );
+        if (!changed) continue;
+
+        await recordMeasurement(goatOf.get(values.rfidTag), {
+          weight: values.weight,
+          height: values.height,
+          source: "import",
+          measuredAt: now,
+          recordedBy: req.user._id,
+        });
+      }
+
+      // 3. HEALTH: Re-apply tags derived from the health log
+      for (const { values } of report) {
+        if (values.healthStatus) {
+          await refreshHealthStatus(goatOf.get(values.rfidTag)._id);
+        }
+      }
+
+      // 4. AUDIT: One entry per created or changed goat
+      const after = await Goat.find({ owner, rfidTag: { $in: tags } });
+      await auditGoats(
+        after.map((goat) => ({
+          action: before.has(goat.rfidTag) ? "update" : "create",
+          user: req.user,
+          before: before.get(goat.rfidTag) || null,
+          after: goat,
+          source: "import",
+        }))
+      );
+
+      console.log(`📥 Imported ${report.length} goats for ${owner}`);
+
+      res.status(200).json({
+        dryRun: false,
+        rows: summary.rows,
+        created: summary.create,
+        updated: summary.update,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
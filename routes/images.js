@@ -0,0 +1,207 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Image = require("../models/Image");
+const { requireAuth, requireGoatAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { uploadSingle } = require("../middleware/upload");
+const {
+  MAX_PHOTOS_PER_GOAT,
+  deleteImageFiles,
+  saveGoatImage,
+  ensurePrimary,
+} = require("../utils/images");
+const { recordDeletion } = require("../utils/sync");
+const { auditGoat } = require("../utils/audit");
+const { ApiError } = require("../utils/errors");
+const { imageOrder } = require("../validators/images");
+
+const router = express.Router();
+
+// Loads :imageId into req.image, making sure it belongs to req.goat
+const loadImage = async (req, res, next) => {
+  try {
+    const { imageId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(imageId)) {
+      throw new ApiError(400, "Invalid Image ID");
+    }
+
+    const image = await Image.findOne({ _id: imageId, goatId: req.goat._id });
+    if (!image) throw new ApiError(404, "Image not found");
+
+    req.image = image;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const listImages = (goatId) =>
+  Image.find({ goatId }).sort({ isPrimary: -1, position: 1 }).lean();
+
+// A. LIST A GOAT'S PHOTOS (Public, primary first then gallery order)
+router.get("/goats/:id/images", async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid Goat ID");
+    }
+
+    res.json(await listImages(id));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// B. UPLOAD ONE PHOTO (multipart/form-data, field "image")
+// Send isPrimary=true to make it the main photo straight away.
+router.post(
+  "/goats/:id/images",
+  requireAuth,
+  requireGoatAccess("herd"),
+  uploadSingle("image"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new ApiError(400, "An image file is required");
+      }
+
+      const count = await Image.countDocuments({ goatId: req.goat._id });
+      if (count >= MAX_PHOTOS_PER_GOAT) {
+        throw new ApiError(
+          409,
+          `A goat can have at most ${MAX_PHOTOS_PER_GOAT} photos. Delete one first.`
+        );
+      }
+
+      // New photos go to the end of the gallery
+      const last = await Image.findOne({ goatId: req.goat._id })
+        .sort({ position: -1 })
+        .select("position");
+      const makePrimary = req.body.isPrimary === "true";
+
+      const image = await saveGoatImage(
+        req.goat._id,
+        req.file.buffer,
+        req.file.mimetype,
+        { position: last ? last.position + 1 : 0, isPrimary: makePrimary }
+      );
+
+      // Only once the new photo is saved, so a rejected file changes nothing
+      if (makePrimary) {
+        await Image.updateMany(
+          { goatId: req.goat._id, _id: { $ne: image._id } },
+          { $set: { isPrimary: false } }
+        );
+      }
+      await ensurePrimary(req.goat._id);
+      await auditGoat("image_added", req.user, req.goat, req.goat, {
+        data: { image: image._id, imageUrl: image.imageUrl },
+      });
+
+      res.status(201).json(await Image.findById(image._id).lean());
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. REORDER (Body: { imageIds: [...] } in the new gallery order)
+router.put(
+  "/goats/:id/images/order",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ body: imageOrder }),
+  async (req, res, next) => {
+    try {
+      const { imageIds } = req.body;
+      const current = await Image.find({ goatId: req.goat._id }).select("_id");
+
+      // Must be exactly this goat's images, each listed once
+      const currentIds = current.map((img) => String(img._id)).sort();
+      const requested = [...imageIds].sort();
+      if (
+        requested.length !== currentIds.length ||
+        requested.some((id, i) => id !== currentIds[i])
+      ) {
+        throw new ApiError(
+          400,
+          "imageIds must list every image of this goat exactly once"
+        );
+      }
+
+      await Image.bulkWrite(
+        imageIds.map((id, position) => ({
+          updateOne: {
+            filter: { _id: id, goatId: req.goat._id },
+            update: { $set: { position } },
+          },
+        }))
+      );
+      await auditGoat("images_reordered", req.user, req.goat, req.goat, {
+        data: { order: imageIds },
+      });
+
+      res.json(await listImages(req.goat._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. SET PRIMARY PHOTO
+router.put(
+  "/goats/:id/images/:imageId/primary",
+  requireAuth,
+  requireGoatAccess("herd"),
+  loadImage,
+  async (req, res, next) => {
+    try {
+      await Image.updateMany(
+        { goatId: req.goat._id, _id: { $ne: req.image._id } },
+        { $set: { isPrimary: false } }
+      );
+      req.image.isPrimary = true;
+      await req.image.save();
+      await auditGoat("primary_image", req.user, req.goat, req.goat, {
+        data: { image: req.image._id, imageUrl: req.image.imageUrl },
+      });
+
+      res.json(await listImages(req.goat._id));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. DELETE ONE PHOTO (Record and files)
+router.delete(
+  "/goats/:id/images/:imageId",
+  requireAuth,
+  requireGoatAccess("herd"),
+  loadImage,
+  async (req, res, next) => {
+    try {
+      deleteImageFiles(req.image);
+      await req.image.deleteOne();
+      await recordDeletion("image", req.image._id, req.goat.owner);
+      await auditGoat("image_removed", req.user, req.goat, req.goat, {
+        data: { image: req.image._id, imageUrl: req.image.imageUrl },
+      });
+
+      // If that was the main photo, the next one in line takes over
+      await ensurePrimary(req.goat._id);
+
+      res.json({
+        message: "Image deleted successfully",
+        images: await listImages(req.goat._id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
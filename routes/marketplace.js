@@ -0,0 +1,266 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Goat = require("../models/Goat");
+const { orderedImagesLookup } = require("../utils/images");
+const { activeListing } = require("../utils/goats");
+const { nearFrom, nearbyFarmDistances, roundKm } = require("../utils/geo");
+const { ApiError } = require("../utils/errors");
+const { validate } = require("../middleware/validate");
+const { SORTS, feedQuery } = require("../validators/marketplace");
+
+const router = express.Router();
+
+const MONTH_MS = 30.44 * 86400000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Comma-separated query values: ?breed=Boer,Saanen
+const listParam = (value) =>
+  String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const rangeFilter = (min, max) => {
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length ? range : undefined;
+};
+
+// Cursor = base64url JSON of the last item's sort value and _id
+const encodeCursor = (item) =>
+  Buffer.from(
+    JSON.stringify({
+      v: item.sortValue,
+      d: item.sortValue instanceof Date,
+      id: String(item._id),
+    })
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    return {
+      value: d && v !== null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (err) {
+    throw new ApiError(400, "Validation failed", { cursor: "Invalid cursor" });
+  }
+};
+
+// Builds the goat-level $match from the validated query string
+const buildGoatMatch = (query) => {
+  const match = { ...activeListing };
+
+  if (query.breed) {
+    match.breed = {
+      $in: listParam(query.breed).map(
+        (b) => new RegExp(`^${escapeRegex(b)}$`, "i")
+      ),
+    };
+  }
+  if (query.gender) match.gender = query.gender;
+  if (query.health) match.healthStatus = { $in: listParam(query.health) };
+
+  if (query.farm) match.owner = new mongoose.Types.ObjectId(query.farm);
+
+  const price = rangeFilter(query.minPrice, query.maxPrice);
+  if (price) match.price = price;
+
+  const weight = rangeFilter(query.minWeight, query.maxWeight);
+  if (weight) match.weight = weight;
+
+  // Age in months -> birthDate window. Older goats have EARLIER birth dates.
+  const { minAgeMonths: minAge, maxAgeMonths: maxAge } = query;
+  const now = Date.now();
+  const born = rangeFilter(
+    maxAge !== undefined ? new Date(now - maxAge * MONTH_MS) : undefined,
+    minAge !== undefined ? new Date(now - minAge * MONTH_MS) : undefined
+  );
+  if (born) match.birthDate = born;
+
+  if (query.hideWithdrawal) {
+    match.$or = [
+      { withdrawalUntil: { $exists: false } },
+      { withdrawalUntil: { $lte: new Date() } },
+    ];
+  }
+
+  return match;
+};
+
+// F. MARKETPLACE FEED (Public)
+// Filters:  breed, gender, minPrice, maxPrice, minAgeMonths, maxAgeMonths,
+//           minWeight, maxWeight, health, farm, hideWithdrawal, q (free text)
+// Location: lat, lng, radiusKm (default 50) -> only goats from farms in range,
+//           each with distanceKm
+// Sorting:  sort=newest|oldest|price_asc|price_desc|weight_asc|weight_desc|
+//           youngest|eldest|distance (default: distance with a location,
+//           newest without)
+// Paging:   limit (max 100) and cursor (from the previous nextCursor)
+// With limit or cursor: { goats, total, nextCursor }, 20 goats a page by
+// default. Without either, every match as a plain array, as the feed always
+// returned and shipped app versions still expect.
+const marketplaceFeed = async (req, res, next) => {
+  try {
+    const query = req.validQuery;
+    const paged =
+      req.query.limit !== undefined || req.query.cursor !== undefined;
+    const near = nearFrom(query);
+    const sortKey = query.sort || (near ? "distance" : "newest");
+    if (sortKey === "distance" && !near) {
+      throw new ApiError(400, "Validation failed", {
+        sort: "distance needs lat and lng",
+      });
+    }
+    const sort = SORTS[sortKey];
+    const { limit } = query;
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+    const match = buildGoatMatch(query);
+    const distanceStages = [];
+
+    // 0. LOCATION: Farms are the ones with a pin, so find those in range first
+    if (near) {
+      const distances = await nearbyFarmDistances(near);
+      const farmIds = [...distances.keys()].filter(
+        (id) => !query.farm || id === String(query.farm)
+      );
+      match.owner = {
+        $in: farmIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+
+      distanceStages.push({
+        $addFields: {
+          distanceKm: roundKm({
+            $arrayElemAt: [
+              [...distances.values()],
+              {
+                $indexOfArray: [[...distances.keys()], { $toString: "$owner" }],
+              },
+            ],
+          }),
+        },
+      });
+    }
+
+    const pipeline = [
+      // 1. FILTER: Goat fields
+      { $match: match },
+      ...distanceStages,
+
+      // 2. LOOKUP OWNER: Needed for farm name search and display
+      {
+        $lookup: {
+          from: "farms",
+          localField: "owner",
+          foreignField: "_id",
+          as: "ownerData",
+        },
+      },
+      {
+        $addFields: {
+          farmName: { $arrayElemAt: ["$ownerData.farmName", 0] },
+          ownerAddress: { $arrayElemAt: ["$ownerData.address", 0] },
+          ownerId: { $toString: "$owner" },
+          // Goats listed before listedAt existed fall back to addedAt
+          sortValue:
+            sort.field === "listedAt"
+              ? { $ifNull: ["$listedAt", "$addedAt"] }
+              : `$${sort.field}`,
+        },
+      },
+    ];
+
+    // 3. SEARCH: Name, breed or farm name
+    if (query.q) {
+      const pattern = new RegExp(escapeRegex(query.q), "i");
+      pipeline.push({
+        $match: {
+          $or: [{ name: pattern }, { breed: pattern }, { farmName: pattern }],
+        },
+      });
+    }
+
+    // 4. PAGE: Items after the cursor, plus the total for the whole filter
+    const op = sort.dir === 1 ? "$gt" : "$lt";
+    const afterCursor = cursor
+      ? [
+          {
+            $match: {
+              $or: [
+                { sortValue: { [op]: cursor.value } },
+                { sortValue: cursor.value, _id: { [op]: cursor.id } },
+              ],
+            },
+          },
+        ]
+      : [];
+
+    const itemStages = [
+      ...afterCursor,
+      { $sort: { sortValue: sort.dir, _id: sort.dir } },
+      ...(paged ? [{ $limit: limit + 1 }] : []),
+
+      // 5. LOOKUP IMAGES: Only for the goats we return, primary first
+      orderedImagesLookup("goatImages"),
+      {
+        $addFields: {
+          mainPhoto: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
+          mainPhotoThumbnail: {
+            $arrayElemAt: ["$goatImages.thumbnailUrl", 0],
+          },
+          underWithdrawal: { $gt: ["$withdrawalUntil", "$$NOW"] },
+        },
+      },
+
+      // 6. CLEANUP
+      { $project: { goatImages: 0, ownerData: 0, __v: 0 } },
+    ];
+
+    // Unpaged: the whole feed, without $facet (its output is one document,
+    // capped at 16 MB)
+    if (!paged) {
+      const goats = await Goat.aggregate([
+        ...pipeline,
+        ...itemStages,
+        { $project: { sortValue: 0 } },
+      ]);
+      return res.status(200).json(goats);
+    }
+
+    pipeline.push({
+      $facet: { items: itemStages, total: [{ $count: "count" }] },
+    });
+
+    const [{ items, total }] = await Goat.aggregate(pipeline);
+
+    const hasMore = items.length > limit;
+    const page = hasMore ? items.slice(0, limit) : items;
+    const nextCursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+
+    const goats = page.map(({ sortValue, ...goat }) => goat);
+
+    res.status(200).json({
+      goats,
+      total: total.length ? total[0].count : 0,
+      nextCursor,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// "/goats" is the old path the app still calls
+router.get(
+  ["/api/goats", "/goats"],
+  validate({ query: feedQuery }),
+  marketplaceFeed
+);
+
+module.exports = router;
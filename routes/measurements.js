@@ -0,0 +1,170 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const Measurement = require("../models/Measurement");
+const { requireAuth, requireGoatAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { farmIdsOf } = require("../utils/farms");
+const { notArchived } = require("../utils/goats");
+const {
+  expectedAdgFor,
+  averageDailyGain,
+  dateRangeFilter,
+  recordMeasurement,
+} = require("../utils/growth");
+const { ApiError } = require("../utils/errors");
+const {
+  newMeasurement,
+  dateRangeQuery,
+} = require("../validators/measurements");
+
+const router = express.Router();
+
+// A. RECORD A MEASUREMENT (One sensor scan or manual weigh-in)
+router.post(
+  "/goats/:id/measurements",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ body: newMeasurement }),
+  async (req, res, next) => {
+    try {
+      const { weight, height, source, sensorId, measuredAt } = req.body;
+
+      if (weight == null && height == null) {
+        throw new ApiError(400, "A weight or height reading is required");
+      }
+
+      const measurement = await recordMeasurement(req.goat, {
+        weight,
+        height,
+        source,
+        sensorId,
+        measuredAt,
+        recordedBy: req.user._id,
+      });
+
+      res.status(201).json(measurement);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. GROWTH CURVE (All readings for a goat, oldest first)
+router.get(
+  "/goats/:id/measurements",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ query: dateRangeQuery }),
+  async (req, res, next) => {
+    try {
+      const measurements = await Measurement.find({
+        goatId: req.goat._id,
+        ...dateRangeFilter(req.validQuery),
+      })
+        .sort({ measuredAt: 1 })
+        .lean();
+
+      res.json(measurements);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. AVERAGE DAILY GAIN (?from=2025-01-01&to=2025-03-01)
+router.get(
+  "/goats/:id/growth",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ query: dateRangeQuery }),
+  async (req, res, next) => {
+    try {
+      const filter = {
+        goatId: req.goat._id,
+        weight: { $ne: null },
+        ...dateRangeFilter(req.validQuery),
+      };
+
+      const [first, last] = await Promise.all([
+        Measurement.findOne(filter).sort({ measuredAt: 1 }).lean(),
+        Measurement.findOne(filter).sort({ measuredAt: -1 }).lean(),
+      ]);
+
+      const gain = averageDailyGain(first, last);
+      const expectedAdg = expectedAdgFor(req.goat.breed);
+
+      res.json({
+        goatId: req.goat._id,
+        breed: req.goat.breed,
+        expectedAdg,
+        ...(gain || { adg: null }),
+        belowExpected: gain ? gain.adg < expectedAdg : false,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. LOW-GAIN ALERTS (Goats in my herd growing slower than their breed should)
+// Archived goats (sold, deceased, ...) are left out.
+router.get(
+  "/growth-alerts",
+  requireAuth,
+  validate({ query: dateRangeQuery }),
+  async (req, res, next) => {
+    try {
+      const goats = await Goat.find({
+        owner: { $in: await farmIdsOf(req.user._id, "herd") },
+        ...notArchived,
+      })
+        .select("name breed rfidTag")
+        .lean();
+
+      // 1. For every goat, grab its first and last weigh-in in the range
+      const ranges = await Measurement.aggregate([
+        {
+          $match: {
+            goatId: { $in: goats.map((g) => g._id) },
+            weight: { $ne: null },
+            ...dateRangeFilter(req.validQuery),
+          },
+        },
+        { $sort: { measuredAt: 1 } },
+        {
+          $group: {
+            _id: "$goatId",
+            first: { $first: "$$ROOT" },
+            last: { $last: "$$ROOT" },
+          },
+        },
+      ]);
+
+      // 2. Compare against the breed expectation
+      const goatsById = new Map(goats.map((g) => [String(g._id), g]));
+      const alerts = [];
+
+      for (const { _id, first, last } of ranges) {
+        const gain = averageDailyGain(first, last);
+        if (!gain) continue;
+
+        const goat = goatsById.get(String(_id));
+        const expectedAdg = expectedAdgFor(goat.breed);
+
+        if (gain.adg < expectedAdg) {
+          alerts.push({ ...goat, ...gain, expectedAdg });
+        }
+      }
+
+      // Worst performers first
+      alerts.sort((a, b) => a.adg / a.expectedAdg - b.adg / b.expectedAdg);
+
+      res.json(alerts);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require("express");
+
+const User = require("../models/User");
+const Farm = require("../models/Farm");
+const FarmInvitation = require("../models/FarmInvitation");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { membershipOf, can } = require("../utils/farms");
+const { issueFarmInvitation, findFarmInvitation } = require("../utils/tokens");
+const { sendFarmInvitationEmail } = require("../utils/account");
+const {
+  invite,
+  acceptInvitation,
+  setMemberRole,
+} = require("../validators/members");
+
+const router = express.Router();
+
+// A farm's people: one owner plus managers and workers (see PERMISSIONS in
+// utils/farms.js). New members join through an emailed invitation.
+
+// Vets and admins keep their own accounts; only farmers work on farms
+const JOINING_ROLES = ["farmer", "buyer"];
+
+// A. LIST MEMBERS (Any member)
+router.get(
+  "/farms/:id/members",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("herd"),
+  async (req, res, next) => {
+    try {
+      await req.farm.populate("members.user", "name email");
+      res.json(req.farm.members);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. INVITE BY EMAIL
+// Body: { email, role: "manager" | "worker" }. The person doesn't need an
+// account yet; they sign up and then open the link.
+router.post(
+  "/farms/:id/invitations",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("members"),
+  validate({ body: invite }),
+  async (req, res, next) => {
+    try {
+      const email = req.body.email.toLowerCase();
+
+      const existing = await User.findOne({ email }).select("role");
+      if (existing && membershipOf(req.farm, existing._id)) {
+        throw new ApiError(409, "This person is already a member", {
+          email: "Already a member",
+        });
+      }
+      if (existing && !JOINING_ROLES.includes(existing.role)) {
+        throw new ApiError(409, "Vet and admin accounts can't join a farm", {
+          email: `Belongs to a ${existing.role} account`,
+        });
+      }
+
+      const { invitation, token } = await issueFarmInvitation(
+        req.farm,
+        req.body,
+        req.user
+      );
+      await sendFarmInvitationEmail(invitation, token, req.farm, req.user);
+
+      const data = invitation.toObject();
+      delete data.tokenHash;
+      res.status(201).json(data);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. LIST OPEN INVITATIONS
+router.get(
+  "/farms/:id/invitations",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("members"),
+  async (req, res, next) => {
+    try {
+      const invitations = await FarmInvitation.find({
+        farm: req.farm._id,
+        expiresAt: { $gt: new Date() },
+      })
+        .select("-tokenHash")
+        .sort({ createdAt: -1 })
+        .populate("invitedBy", "name")
+        .lean();
+
+      res.json(invitations);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. CANCEL AN INVITATION (the link stops working)
+router.delete(
+  "/farms/:id/invitations/:invitationId",
+  requireAuth,
+  validateId("id", "invitationId"),
+  requireFarmAccess("members"),
+  async (req, res, next) => {
+    try {
+      const { deletedCount } = await FarmInvitation.deleteOne({
+        _id: req.params.invitationId,
+        farm: req.farm._id,
+      });
+      if (!deletedCount) throw new ApiError(404, "Invitation not found");
+
+      res.json({ message: "Invitation cancelled" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. ACCEPT AN INVITATION (link from the invitation email)
+// Body: { token }. Must be logged in with the invited email. A buyer who
+// joins becomes a farmer.
+router.post(
+  "/invitations/accept",
+  requireAuth,
+  validate({ body: acceptInvitation }),
+  async (req, res, next) => {
+    try {
+      const invitation = await findFarmInvitation(req.body.token);
+      if (!invitation) {
+        throw new ApiError(400, "This invitation is invalid or has expired", {
+          token: "Invalid or expired",
+        });
+      }
+      if (invitation.email !== req.user.email) {
+        throw new ApiError(
+          403,
+          `This invitation was sent to ${invitation.email}. Log in with that email to accept it.`
+        );
+      }
+      if (!JOINING_ROLES.includes(req.user.role)) {
+        throw new ApiError(409, "Vet and admin accounts can't join a farm");
+      }
+
+      const farm = await Farm.findOneAndUpdate(
+        { _id: invitation.farm, "members.user": { $ne: req.user._id } },
+        { $push: { members: { user: req.user._id, role: invitation.role } } },
+        { new: true }
+      ).select("farmName");
+      await invitation.deleteOne();
+      if (!farm) {
+        throw new ApiError(409, "You are already a member of this farm");
+      }
+
+      if (req.user.role === "buyer") {
+        await User.updateOne(
+          { _id: req.user._id },
+          { $set: { role: "farmer" } }
+        );
+      }
+
+      console.log(`👥 ${req.user._id} joined farm ${farm._id}`);
+      res.json({
+        _id: farm._id,
+        farmName: farm.farmName,
+        role: invitation.role,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. CHANGE A MEMBER'S ROLE
+// Body: { role: "manager" | "worker" }
+router.put(
+  "/farms/:id/members/:userId",
+  requireAuth,
+  validateId("id", "userId"),
+  requireFarmAccess("members"),
+  validate({ body: setMemberRole }),
+  async (req, res, next) => {
+    try {
+      const member = membershipOf(req.farm, req.params.userId);
+      if (!member) throw new ApiError(404, "Not a member of this farm");
+      if (member.role === "owner") {
+        throw new ApiError(409, "The owner's role can't be changed");
+      }
+
+      member.role = req.body.role;
+      await req.farm.save();
+
+      res.json(member);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// G. REMOVE A MEMBER, OR LEAVE
+// The owner can remove anyone else; any other member can remove themselves.
+router.delete(
+  "/farms/:id/members/:userId",
+  requireAuth,
+  validateId("id", "userId"),
+  requireFarmAccess("herd"),
+  async (req, res, next) => {
+    try {
+      const leaving = req.params.userId === String(req.user._id);
+      if (!leaving && !can(req.membership, "members")) {
+        throw new ApiError(403, "Only the owner can remove members");
+      }
+
+      const member = membershipOf(req.farm, req.params.userId);
+      if (!member) throw new ApiError(404, "Not a member of this farm");
+      if (member.role === "owner") {
+        throw new ApiError(409, "The owner can't leave or be removed");
+      }
+
+      await Farm.updateOne(
+        { _id: req.farm._id },
+        { $pull: { members: { user: member.user } } }
+      );
+
+      res.json({ message: leaving ? "You left the farm" : "Member removed" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,392 @@
+const express = require("express");
+
+const Farm = require("../models/Farm");
+const Goat = require("../models/Goat");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const { requireAuth } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const {
+  activeFarm,
+  membershipOf,
+  can,
+  isMember,
+  farmIdsOf,
+} = require("../utils/farms");
+const { ApiError } = require("../utils/errors");
+const { encodeCursor, afterCursor } = require("../utils/cursors");
+const {
+  startConversation,
+  sendMessage,
+  pageQuery,
+} = require("../validators/messages");
+
+const router = express.Router();
+
+const PREVIEW_LENGTH = 140;
+
+// Which unread counter belongs to a side ("buyer" or "seller"), and which
+// to the other one. The farm's side is shared by everyone who sells for it.
+const unreadFieldOf = (side) =>
+  side === "buyer" ? "buyerUnread" : "sellerUnread";
+const otherUnreadFieldOf = (side) =>
+  side === "buyer" ? "sellerUnread" : "buyerUnread";
+
+// Loads :id into req.conversation and the caller's side into req.side. Only
+// the buyer and the farm's members who may sell can see it.
+const loadConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) throw new ApiError(404, "Conversation not found");
+
+    if (conversation.buyer.equals(req.user._id)) {
+      req.side = "buyer";
+    } else {
+      const farm = await Farm.findById(conversation.seller).select("members");
+      if (!can(farm && membershipOf(farm, req.user._id), "sell")) {
+        throw new ApiError(403, "This conversation is not yours");
+      }
+      req.side = "seller";
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Saves the message and bumps the thread's preview and the other side's
+// unread count
+const postMessage = async (conversation, sender, side, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body,
+  });
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          body: body.slice(0, PREVIEW_LENGTH),
+          sender: sender._id,
+          sentAt: message.sentAt,
+        },
+      },
+      $inc: { [otherUnreadFieldOf(side)]: 1 },
+    }
+  );
+
+  return message;
+};
+
+// The caller's threads: as a buyer, and for every farm they sell for
+const threadsOf = async (me) => ({
+  $or: [{ buyer: me }, { seller: { $in: await farmIdsOf(me, "sell") } }],
+});
+
+// Unread messages across all of the user's threads
+const totalUnread = async (me) => {
+  const [row] = await Conversation.aggregate([
+    { $match: await threadsOf(me) },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $cond: [{ $eq: ["$buyer", me] }, "$buyerUnread", "$sellerUnread"],
+          },
+        },
+      },
+    },
+  ]);
+  return row ? row.total : 0;
+};
+
+// Everything the inbox shows about a thread, from the caller's point of view
+const inboxStages = (me) => [
+  {
+    $addFields: {
+      role: { $cond: [{ $eq: ["$buyer", me] }, "buyer", "seller"] },
+      otherId: { $cond: [{ $eq: ["$buyer", me] }, "$seller", "$buyer"] },
+      unreadCount: {
+        $cond: [{ $eq: ["$buyer", me] }, "$buyerUnread", "$sellerUnread"],
+      },
+    },
+  },
+  // The buyer sees the farm, the farm sees the buyer
+  {
+    $lookup: {
+      from: "farms",
+      localField: "otherId",
+      foreignField: "_id",
+      pipeline: [{ $project: { farmName: 1, logoThumbnailUrl: 1 } }],
+      as: "otherFarm",
+    },
+  },
+  {
+    $lookup: {
+      from: "users",
+      localField: "otherId",
+      foreignField: "_id",
+      pipeline: [{ $project: { name: 1 } }],
+      as: "otherUser",
+    },
+  },
+  {
+    $lookup: {
+      from: "goats",
+      localField: "goat",
+      foreignField: "_id",
+      pipeline: [
+        {
+          $lookup: {
+            from: "images",
+            localField: "_id",
+            foreignField: "goatId",
+            pipeline: [
+              { $sort: { isPrimary: -1, position: 1, uploadedAt: 1 } },
+              { $limit: 1 },
+            ],
+            as: "photo",
+          },
+        },
+        {
+          $project: {
+            name: 1,
+            breed: 1,
+            price: 1,
+            isForSale: 1,
+            isSold: 1,
+            mainPhotoThumbnail: { $first: "$photo.thumbnailUrl" },
+          },
+        },
+      ],
+      as: "goat",
+    },
+  },
+  {
+    $project: {
+      role: 1,
+      otherParty: {
+        $first: {
+          $cond: [{ $eq: ["$role", "buyer"] }, "$otherFarm", "$otherUser"],
+        },
+      },
+      goat: { $first: "$goat" },
+      lastMessage: 1,
+      unreadCount: 1,
+      createdAt: 1,
+    },
+  },
+];
+
+// A. START (OR CONTINUE) A CONVERSATION
+// Body: { goat } to ask the goat's farm about it, or { farm } for a general
+// question, plus the first message { body }. Reuses the existing thread.
+router.post(
+  "/conversations",
+  requireAuth,
+  validate({ body: startConversation }),
+  async (req, res, next) => {
+    try {
+      const { goat: goatId, farm: farmId, body } = req.body;
+
+      if (!goatId && !farmId) {
+        throw new ApiError(400, "Validation failed", {
+          farm: "Send a goat or a farm",
+        });
+      }
+
+      let sellerId = farmId;
+      if (goatId) {
+        const goat = await Goat.findById(goatId).select("owner archivedAt");
+        if (!goat || goat.archivedAt) throw new ApiError(404, "Goat not found");
+        if (farmId && !goat.owner.equals(farmId)) {
+          throw new ApiError(400, "Validation failed", {
+            farm: "This goat belongs to another farm",
+          });
+        }
+        sellerId = goat.owner;
+      }
+
+      // Any farm that isn't suspended can be asked about its goats
+      const seller = await Farm.exists({ _id: sellerId, ...activeFarm });
+      if (!seller) throw new ApiError(404, "Farm not found");
+
+      if (await isMember(sellerId, req.user._id)) {
+        throw new ApiError(400, "You can't message your own farm");
+      }
+
+      const conversation = await Conversation.findOneAndUpdate(
+        { buyer: req.user._id, seller: sellerId, goat: goatId || null },
+        { $setOnInsert: { createdAt: new Date() } },
+        { new: true, upsert: true }
+      );
+
+      const message = await postMessage(conversation, req.user, "buyer", body);
+
+      res.status(201).json({ conversationId: conversation._id, message });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. INBOX
+// Newest activity first. ?cursor=<nextCursor of the last page> pages back.
+// totalUnread covers every thread, not just this page.
+router.get(
+  "/conversations",
+  requireAuth,
+  validate({ query: pageQuery }),
+  async (req, res, next) => {
+    try {
+      const me = req.user._id;
+      const { limit, cursor } = req.validQuery;
+
+      const mine = await threadsOf(me);
+      // Both are $or filters, so they can't just be merged
+      const match = cursor
+        ? { $and: [mine, afterCursor("lastMessage.sentAt", cursor)] }
+        : mine;
+
+      const [conversations, unread] = await Promise.all([
+        Conversation.aggregate([
+          { $match: match },
+          { $sort: { "lastMessage.sentAt": -1, _id: -1 } },
+          { $limit: limit },
+          ...inboxStages(me),
+        ]),
+        totalUnread(me),
+      ]);
+
+      const last = conversations[conversations.length - 1];
+      res.json({
+        conversations,
+        totalUnread: unread,
+        nextCursor:
+          conversations.length === limit && last.lastMessage
+            ? encodeCursor(last.lastMessage.sentAt, last._id)
+            : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. UNREAD BADGE (cheap enough to poll)
+router.get(
+  "/conversations/unread-count",
+  requireAuth,
+  async (req, res, next) => {
+    try {
+      res.json({ unread: await totalUnread(req.user._id) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. READ A THREAD
+// Newest first; ?cursor=<nextCursor of the last page> pages back.
+// Each message has readAt once the recipient has opened the thread.
+router.get(
+  "/conversations/:id/messages",
+  requireAuth,
+  validateId(),
+  loadConversation,
+  validate({ query: pageQuery }),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor } = req.validQuery;
+      const conversation = req.conversation;
+
+      const [[details], messages] = await Promise.all([
+        Conversation.aggregate([
+          { $match: { _id: conversation._id } },
+          ...inboxStages(req.user._id),
+        ]),
+        Message.find({
+          conversation: conversation._id,
+          ...afterCursor("sentAt", cursor),
+        })
+          .sort({ sentAt: -1, _id: -1 })
+          .limit(limit)
+          .lean(),
+      ]);
+
+      const last = messages[messages.length - 1];
+      res.json({
+        conversation: details,
+        messages,
+        nextCursor:
+          messages.length === limit
+            ? encodeCursor(last.sentAt, last._id)
+            : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. REPLY
+router.post(
+  "/conversations/:id/messages",
+  requireAuth,
+  validateId(),
+  loadConversation,
+  validate({ body: sendMessage }),
+  async (req, res, next) => {
+    try {
+      const message = await postMessage(
+        req.conversation,
+        req.user,
+        req.side,
+        req.body.body
+      );
+      res.status(201).json(message);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. MARK AS READ
+// Stamps readAt on everything the other side sent and clears the caller's
+// side's unread count. Call when the thread is on screen.
+router.post(
+  "/conversations/:id/read",
+  requireAuth,
+  validateId(),
+  loadConversation,
+  async (req, res, next) => {
+    try {
+      const conversation = req.conversation;
+      const buyer = conversation.buyer;
+
+      const result = await Message.updateMany(
+        {
+          conversation: conversation._id,
+          sender: req.side === "buyer" ? { $ne: buyer } : buyer,
+          readAt: { $exists: false },
+        },
+        { $set: { readAt: new Date() } }
+      );
+      await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { [unreadFieldOf(req.side)]: 0 } }
+      );
+
+      res.json({ marked: result.modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
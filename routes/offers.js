@@ -0,0 +1,478 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Goat = require("../models/Goat");
+const Farm = require("../models/Farm");
+const User = require("../models/User");
+const Offer = require("../models/Offer");
+const { requireAuth } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { activeListing, notArchived } = require("../utils/goats");
+const {
+  membershipOf,
+  can,
+  farmIdsOf,
+  isMember,
+  findActingFarm,
+  ensureOwnFarm,
+} = require("../utils/farms");
+const { recordDeletion } = require("../utils/sync");
+const { notifyListingChanges } = require("../utils/notifications");
+const { auditGoat } = require("../utils/audit");
+const { ApiError } = require("../utils/errors");
+const {
+  makeOffer,
+  offersQuery,
+  counterOffer,
+} = require("../validators/offers");
+
+const router = express.Router();
+
+// Offers that still block or compete for the goat
+const OPEN_STATUSES = ["pending", "countered"];
+
+// Loads :offerId into req.offer. Only the buyer and the selling farm's
+// members who may sell can see it.
+const loadOffer = async (req, res, next) => {
+  try {
+    const { offerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(offerId)) {
+      throw new ApiError(400, "Invalid Offer ID");
+    }
+
+    const offer = await Offer.findById(offerId);
+    if (!offer) throw new ApiError(404, "Offer not found");
+
+    req.isSeller = !offer.buyer.equals(req.user._id);
+    if (req.isSeller) {
+      const farm = await Farm.findById(offer.seller).select("members");
+      if (!can(farm && membershipOf(farm, req.user._id), "sell")) {
+        throw new ApiError(403, "This offer is not yours");
+      }
+    }
+
+    req.offer = offer;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const addHistory = (offer, user, action, amount) => {
+  offer.history.push({ by: user._id, action, amount });
+};
+
+// The farm a purchase will go to: X-Farm-Id (buying for a farm takes a role
+// that may sell), else the farm the buyer owns. None for a plain buyer.
+const buyingFarmOf = async (req) => {
+  if (req.get("X-Farm-Id")) {
+    const farm = await findActingFarm(req.user, req.get("X-Farm-Id"));
+    if (!can(membershipOf(farm, req.user._id), "sell")) {
+      throw new ApiError(403, "Your role on this farm can't buy for it");
+    }
+    return farm._id;
+  }
+
+  const owned = await Farm.exists({
+    members: { $elemMatch: { user: req.user._id, role: "owner" } },
+  });
+  return owned ? owned._id : undefined;
+};
+
+// A. MAKE AN OFFER OR RESERVE A LISTED GOAT
+// Body: { type: "offer" | "reservation", amount, message }
+router.post(
+  "/goats/:id/offers",
+  requireAuth,
+  validateId(),
+  validate({ body: makeOffer }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { type, amount, message } = req.body;
+
+      const goat = await Goat.findById(id);
+      if (!goat || !goat.isForSale || goat.isSold || goat.takedown.at) {
+        throw new ApiError(404, "Listing not found");
+      }
+      if (goat.isReserved) {
+        throw new ApiError(409, "This goat is already reserved");
+      }
+      if (await isMember(goat.owner, req.user._id)) {
+        throw new ApiError(400, "You can't buy your own goat");
+      }
+
+      // A reservation is an offer at the asking price
+      const offerAmount = type === "reservation" ? goat.price : amount;
+      if (offerAmount == null || offerAmount < 0) {
+        throw new ApiError(400, "Validation failed", {
+          amount: "A valid amount is required",
+        });
+      }
+
+      const duplicate = await Offer.exists({
+        goat: goat._id,
+        buyer: req.user._id,
+        status: { $in: OPEN_STATUSES },
+      });
+      if (duplicate) {
+        throw new ApiError(409, "You already have an open offer on this goat");
+      }
+
+      const offer = new Offer({
+        goat: goat._id,
+        buyer: req.user._id,
+        buyerFarm: await buyingFarmOf(req),
+        seller: goat.owner,
+        type,
+        amount: offerAmount,
+        message,
+      });
+      addHistory(offer, req.user, type, offerAmount);
+      await offer.save();
+
+      res.status(201).json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. MY OFFERS (?role=buyer|seller&status=pending)
+// As seller: offers to every farm the caller sells for
+router.get(
+  "/offers",
+  requireAuth,
+  validate({ query: offersQuery }),
+  async (req, res, next) => {
+    try {
+      const { role, status } = req.validQuery;
+      const me = req.user._id;
+      const selling = { seller: { $in: await farmIdsOf(me, "sell") } };
+
+      const filter =
+        role === "buyer"
+          ? { buyer: me }
+          : role === "seller"
+          ? selling
+          : { $or: [{ buyer: me }, selling] };
+      if (status) filter.status = status;
+
+      const offers = await Offer.find(filter)
+        .sort({ updatedAt: -1 })
+        .populate("goat", "name breed price rfidTag")
+        .populate("buyer", "name")
+        .populate("buyerFarm", "farmName")
+        .populate("seller", "farmName")
+        .lean();
+
+      res.json(offers);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. GET ONE OFFER
+router.get("/offers/:offerId", requireAuth, loadOffer, (req, res) => {
+  res.json(req.offer);
+});
+
+// D. COUNTER (Seller proposes a different price)
+router.post(
+  "/offers/:offerId/counter",
+  requireAuth,
+  loadOffer,
+  validate({ body: counterOffer }),
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+      const { amount } = req.body;
+
+      if (!req.isSeller) {
+        throw new ApiError(403, "Only the seller can counter");
+      }
+      if (!OPEN_STATUSES.includes(offer.status)) {
+        throw new ApiError(409, `Offer is already ${offer.status}`);
+      }
+      offer.status = "countered";
+      offer.counterAmount = amount;
+      addHistory(offer, req.user, "counter", amount);
+      await offer.save();
+
+      res.json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. ACCEPT
+// The seller accepts a pending offer, the buyer accepts a counter.
+// Either way the goat is reserved atomically and leaves the marketplace.
+router.post(
+  "/offers/:offerId/accept",
+  requireAuth,
+  loadOffer,
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+
+      const canAccept =
+        (offer.status === "pending" && req.isSeller) ||
+        (offer.status === "countered" && !req.isSeller);
+      if (!canAccept) {
+        throw new ApiError(
+          409,
+          `You can't accept an offer that is ${offer.status}`
+        );
+      }
+
+      // 1. Reserve the goat only if it's still listed and nobody beat us to it
+      const goat = await Goat.findOneAndUpdate(
+        {
+          _id: offer.goat,
+          owner: offer.seller,
+          ...activeListing,
+        },
+        { $set: { isReserved: true } },
+        { new: true }
+      );
+      if (!goat) {
+        throw new ApiError(409, "This goat is no longer available");
+      }
+      await auditGoat(
+        "update",
+        req.user,
+        { ...goat.toObject(), isReserved: false },
+        goat,
+        { source: "marketplace", data: { offer: offer._id } }
+      );
+
+      // 2. Lock in the price
+      offer.salePrice =
+        offer.status === "countered" ? offer.counterAmount : offer.amount;
+      offer.status = "accepted";
+      addHistory(offer, req.user, "accept", offer.salePrice);
+      await offer.save();
+
+      // 3. Everyone else bidding on this goat is turned down
+      await Offer.updateMany(
+        {
+          goat: offer.goat,
+          _id: { $ne: offer._id },
+          status: { $in: OPEN_STATUSES },
+        },
+        {
+          $set: { status: "declined", updatedAt: new Date() },
+          $push: {
+            history: {
+              by: req.user._id,
+              action: "auto-decline",
+              at: new Date(),
+            },
+          },
+        }
+      );
+
+      // 4. Tell everyone else watching the goat
+      await notifyListingChanges({ isReserved: false }, goat, {
+        exclude: [offer.buyer],
+      });
+
+      res.json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. DECLINE (Seller declines an offer, or the buyer declines a counter)
+router.post(
+  "/offers/:offerId/decline",
+  requireAuth,
+  loadOffer,
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+
+      const canDecline =
+        (offer.status === "pending" && req.isSeller) ||
+        (offer.status === "countered" && !req.isSeller);
+      if (!canDecline) {
+        throw new ApiError(
+          409,
+          `You can't decline an offer that is ${offer.status}`
+        );
+      }
+
+      offer.status = "declined";
+      addHistory(offer, req.user, "decline");
+      await offer.save();
+
+      res.json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// G. WITHDRAW (Buyer pulls an open offer)
+router.post(
+  "/offers/:offerId/withdraw",
+  requireAuth,
+  loadOffer,
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+
+      if (req.isSeller) {
+        throw new ApiError(403, "Only the buyer can withdraw");
+      }
+      if (!OPEN_STATUSES.includes(offer.status)) {
+        throw new ApiError(409, `Offer is already ${offer.status}`);
+      }
+
+      offer.status = "withdrawn";
+      addHistory(offer, req.user, "withdraw");
+      await offer.save();
+
+      res.json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// H. CANCEL AN ACCEPTED DEAL (Either side. Puts the goat back on the market.)
+router.post(
+  "/offers/:offerId/cancel",
+  requireAuth,
+  loadOffer,
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+
+      if (offer.status !== "accepted") {
+        throw new ApiError(409, "Only an accepted offer can be cancelled");
+      }
+
+      // The goat as it was, so the audit shows whether it was reserved
+      const before = await Goat.findOneAndUpdate(
+        { _id: offer.goat, owner: offer.seller, isSold: { $ne: true } },
+        { $set: { isReserved: false } }
+      );
+      if (before) {
+        await auditGoat(
+          "update",
+          req.user,
+          before,
+          { ...before.toObject(), isReserved: false },
+          { source: "marketplace", data: { offer: offer._id } }
+        );
+      }
+
+      offer.status = "cancelled";
+      addHistory(offer, req.user, "cancel");
+      await offer.save();
+
+      res.json(offer);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// I. COMPLETE THE SALE (Seller confirms payment/handover)
+// Marks the goat sold and hands it to the buyer's farm. A buyer without a
+// farm gets one of their own.
+router.post(
+  "/offers/:offerId/complete",
+  requireAuth,
+  loadOffer,
+  async (req, res, next) => {
+    try {
+      const { offer } = req;
+
+      if (!req.isSeller) {
+        throw new ApiError(403, "Only the seller can complete the sale");
+      }
+      if (offer.status !== "accepted") {
+        throw new ApiError(409, "Only an accepted offer can be completed");
+      }
+
+      const current = await Goat.findById(offer.goat);
+      if (!current) throw new ApiError(404, "Goat not found");
+
+      // The seller has owned it since the last transfer (or since it was added)
+      const lastTransfer =
+        current.ownershipHistory[current.ownershipHistory.length - 1];
+      const ownedSince = lastTransfer ? lastTransfer.to : current.addedAt;
+      const soldAt = new Date();
+
+      let newOwner = offer.buyerFarm;
+      if (!newOwner) {
+        const buyer = await User.findById(offer.buyer);
+        if (!buyer) throw new ApiError(409, "The buyer's account is gone");
+        newOwner = (await ensureOwnFarm(buyer))._id;
+      }
+
+      // Only transfer if the goat is still the seller's and still reserved
+      const goat = await Goat.findOneAndUpdate(
+        {
+          _id: offer.goat,
+          owner: offer.seller,
+          isReserved: true,
+          ...notArchived,
+        },
+        {
+          $set: {
+            owner: newOwner,
+            isSold: true,
+            isForSale: false,
+            isReserved: false,
+            soldPrice: offer.salePrice,
+            soldAt,
+          },
+          $push: {
+            ownershipHistory: {
+              owner: offer.seller,
+              from: ownedSince,
+              to: soldAt,
+              salePrice: offer.salePrice,
+              offer: offer._id,
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!goat) {
+        throw new ApiError(409, "This goat can no longer be transferred");
+      }
+
+      await auditGoat("transfer", req.user, current, goat, {
+        source: "marketplace",
+        data: { offer: offer._id, salePrice: offer.salePrice },
+      });
+
+      // The seller's devices should drop the goat on their next sync
+      await recordDeletion("goat", goat._id, offer.seller);
+
+      offer.status = "completed";
+      offer.completedAt = soldAt;
+      addHistory(offer, req.user, "complete", offer.salePrice);
+      await offer.save();
+
+      await notifyListingChanges({ isSold: false, owner: offer.seller }, goat, {
+        exclude: [offer.buyer],
+      });
+
+      res.json({ offer, goat });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const Measurement = require("../models/Measurement");
+const ScanEvent = require("../models/ScanEvent");
+const Farm = require("../models/Farm");
+const { requireAuth, requireGoatAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { membershipOf, can, farmIdsOf } = require("../utils/farms");
+const { recordMeasurement } = require("../utils/growth");
+const { healthAlerts } = require("../utils/health");
+const { auditGoat } = require("../utils/audit");
+const { ApiError } = require("../utils/errors");
+const { scanTag, retag } = require("../validators/scans");
+
+const router = express.Router();
+
+const RECENT_MEASUREMENTS = 5;
+
+// A. SCAN A TAG (RFID reader or phone in the field)
+// Body: { rfidTag, readerId, weight, height, measuredAt }
+// Never creates a goat. Unknown tags get a 404 with status "unregistered".
+router.post(
+  "/scan",
+  requireAuth,
+  validate({ body: scanTag }),
+  async (req, res, next) => {
+    try {
+      const { rfidTag, readerId, weight, height, measuredAt } = req.body;
+
+      const logScan = (result, extra = {}) =>
+        ScanEvent.create({
+          rfidTag,
+          result,
+          readerId,
+          scannedBy: req.user._id,
+          ...extra,
+        });
+
+      const goat = await Goat.findOne({ rfidTag });
+
+      // 1. UNKNOWN TAG: Maybe it's an old tag that was replaced
+      if (!goat) {
+        const retagged = await Goat.findOne({
+          "tagHistory.rfidTag": rfidTag,
+          owner: { $in: await farmIdsOf(req.user._id, "herd") },
+        }).select("name rfidTag");
+
+        if (retagged) {
+          await logScan("retired", { goatId: retagged._id });
+          return res.status(404).json({
+            status: "retired",
+            code: "RETIRED_TAG",
+            error: "This tag was replaced and is no longer active",
+            rfidTag,
+            goat: retagged,
+          });
+        }
+
+        await logScan("unregistered");
+        return res.status(404).json({
+          status: "unregistered",
+          code: "UNREGISTERED_TAG",
+          error: "This tag is not registered to any goat",
+          rfidTag,
+        });
+      }
+
+      // 2. ANOTHER FARM'S GOAT: Log it, but don't reveal anything
+      const farm = await Farm.findById(goat.owner).select("members");
+      if (!can(farm && membershipOf(farm, req.user._id), "herd")) {
+        await logScan("forbidden", { goatId: goat._id });
+        return res.status(403).json({
+          status: "forbidden",
+          code: "FORBIDDEN",
+          error: "You do not own this goat",
+        });
+      }
+
+      // 3. KNOWN GOAT: Store any sensor readings that came with the scan
+      let measurement = null;
+      if (weight != null || height != null) {
+        measurement = await recordMeasurement(goat, {
+          weight,
+          height,
+          measuredAt,
+          source: "sensor",
+          sensorId: readerId,
+          recordedBy: req.user._id,
+        });
+      }
+
+      const scan = await logScan("matched", {
+        goatId: goat._id,
+        measurementId: measurement && measurement._id,
+      });
+
+      const [current, measurements] = await Promise.all([
+        Goat.findById(goat._id).lean(),
+        Measurement.find({ goatId: goat._id })
+          .sort({ measuredAt: -1 })
+          .limit(RECENT_MEASUREMENTS)
+          .lean(),
+      ]);
+
+      res.json({
+        status: "matched",
+        scanId: scan._id,
+        goat: current,
+        measurements,
+        alerts: await healthAlerts(current),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. SCAN HISTORY FOR A GOAT
+router.get(
+  "/goats/:id/scans",
+  requireAuth,
+  requireGoatAccess("herd"),
+  async (req, res, next) => {
+    try {
+      const scans = await ScanEvent.find({ goatId: req.goat._id })
+        .sort({ scannedAt: -1 })
+        .limit(100)
+        .lean();
+
+      res.json(scans);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. REPLACE A TAG (Lost or damaged ear tag)
+// Body: { newTag, reason }. The old tag is kept in tagHistory.
+router.post(
+  "/goats/:id/retag",
+  requireAuth,
+  requireGoatAccess("herd"),
+  validate({ body: retag }),
+  async (req, res, next) => {
+    try {
+      const goat = req.goat;
+      const { newTag, reason } = req.body;
+      if (newTag === goat.rfidTag) {
+        throw new ApiError(400, "The new tag is the same as the current one");
+      }
+
+      const taken = await Goat.exists({ rfidTag: newTag });
+      if (taken) {
+        throw new ApiError(409, "This tag is already assigned to another goat");
+      }
+
+      const before = goat.toObject();
+      goat.tagHistory.push({
+        rfidTag: goat.rfidTag,
+        replacedAt: new Date(),
+        reason,
+        replacedBy: req.user._id,
+      });
+      goat.rfidTag = newTag;
+
+      try {
+        await goat.save();
+      } catch (saveErr) {
+        // Another request grabbed the tag between our check and the save
+        if (saveErr.code === 11000) {
+          throw new ApiError(
+            409,
+            "This tag is already assigned to another goat"
+          );
+        }
+        throw saveErr;
+      }
+      await auditGoat("retag", req.user, before, goat, { data: { reason } });
+
+      res.json(goat);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { UNDER_WITHDRAWAL, SICK } = require("../utils/health");
+const { summaryQuery } = require("../validators/stats");
+
+const router = express.Router();
+
+// Age classes by months since birthDate
+const KID_MONTHS = 12;
+const YEARLING_MONTHS = 24;
+
+// { $gte, $lte } for a date field, or null when no range was given
+const dateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? range : null;
+};
+
+// Adds a { field: range } condition only when a range was given
+const inRange = (field, range) => (range ? { [field]: range } : {});
+
+// A. HERD SUMMARY (Home screen dashboard)
+// ?from=&to= narrow every metric to that window:
+//   herd/ageClasses/health -> goats added in the window
+//   listings               -> goats listed in the window
+//   sold                   -> sales made in the window
+//   growth                 -> additions per week/month in the window
+router.get(
+  "/farms/:id/summary",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ query: summaryQuery }),
+  async (req, res, next) => {
+    try {
+      const farmId = req.farm._id;
+      const { interval } = req.validQuery;
+      const range = dateRange(req.validQuery);
+
+      const [herd] = await Goat.aggregate([
+        // 1. FILTER: Every goat this farm owns or has sold
+        {
+          $match: {
+            $or: [{ owner: farmId }, { "ownershipHistory.owner": farmId }],
+          },
+        },
+
+        // 2. AGE CLASS: kid (< 1 year), yearling (1-2 years), adult
+        {
+          $addFields: {
+            isCurrent: {
+              $and: [
+                { $eq: ["$owner", farmId] },
+                { $not: [{ $ifNull: ["$archivedAt", false] }] },
+              ],
+            },
+            ageClass: {
+              $let: {
+                vars: {
+                  months: {
+                    $dateDiff: {
+                      startDate: "$birthDate",
+                      endDate: "$$NOW",
+                      unit: "month",
+                    },
+                  },
+                },
+                in: {
+                  $switch: {
+                    branches: [
+                      { case: { $lt: ["$$months", KID_MONTHS] }, then: "kid" },
+                      {
+                        case: { $lt: ["$$months", YEARLING_MONTHS] },
+                        then: "yearling",
+                      },
+                    ],
+                    default: "adult",
+                  },
+                },
+              },
+            },
+          },
+        },
+
+        // 3. METRICS: One sub-pipeline each
+        {
+          $facet: {
+            byGender: [
+              { $match: { isCurrent: true, ...inRange("addedAt", range) } },
+              { $group: { _id: "$gender", count: { $sum: 1 } } },
+              { $sort: { _id: 1 } },
+            ],
+            byBreed: [
+              { $match: { isCurrent: true, ...inRange("addedAt", range) } },
+              { $group: { _id: "$breed", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            byAgeClass: [
+              { $match: { isCurrent: true, ...inRange("addedAt", range) } },
+              {
+                $group: {
+                  _id: "$ageClass",
+                  count: { $sum: 1 },
+                  averageWeight: { $avg: "$weight" },
+                },
+              },
+            ],
+            healthFlags: [
+              {
+                $match: {
+                  isCurrent: true,
+                  healthStatus: { $in: [SICK, UNDER_WITHDRAWAL] },
+                  ...inRange("addedAt", range),
+                },
+              },
+              { $unwind: "$healthStatus" },
+              { $match: { healthStatus: { $in: [SICK, UNDER_WITHDRAWAL] } } },
+              { $group: { _id: "$healthStatus", count: { $sum: 1 } } },
+            ],
+            listings: [
+              {
+                $match: {
+                  isCurrent: true,
+                  isForSale: true,
+                  isSold: { $ne: true },
+                  ...inRange("listedAt", range),
+                },
+              },
+              {
+                $group: {
+                  _id: null,
+                  forSale: {
+                    $sum: { $cond: [{ $ne: ["$isReserved", true] }, 1, 0] },
+                  },
+                  reserved: {
+                    $sum: { $cond: [{ $eq: ["$isReserved", true] }, 1, 0] },
+                  },
+                  totalListedValue: {
+                    $sum: {
+                      $cond: [
+                        { $ne: ["$isReserved", true] },
+                        { $ifNull: ["$price", 0] },
+                        0,
+                      ],
+                    },
+                  },
+                },
+              },
+            ],
+            // Marketplace sales (ownership moved to the buyer)
+            soldOnMarketplace: [
+              { $unwind: "$ownershipHistory" },
+              {
+                $match: {
+                  "ownershipHistory.owner": farmId,
+                  "ownershipHistory.salePrice": { $exists: true },
+                  ...inRange("ownershipHistory.to", range),
+                },
+              },
+              {
+                $group: {
+                  _id: null,
+                  count: { $sum: 1 },
+                  revenue: { $sum: "$ownershipHistory.salePrice" },
+                },
+              },
+            ],
+            // Sales recorded by archiving the goat as "sold"
+            soldOffline: [
+              {
+                $match: {
+                  owner: farmId,
+                  archiveReason: "sold",
+                  ...inRange("archivedAt", range),
+                },
+              },
+              { $count: "count" },
+            ],
+            growth: [
+              { $match: { owner: farmId, ...inRange("addedAt", range) } },
+              {
+                $group: {
+                  _id: { $dateTrunc: { date: "$addedAt", unit: interval } },
+                  added: { $sum: 1 },
+                },
+              },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]);
+
+      // 4. FORMAT: Turn the facet arrays into a friendlier shape
+      const toCounts = (rows) =>
+        Object.fromEntries(rows.map((row) => [row._id, row.count]));
+
+      const ageClasses = {};
+      for (const ageClass of ["kid", "yearling", "adult"]) {
+        const row = herd.byAgeClass.find((r) => r._id === ageClass);
+        ageClasses[ageClass] = {
+          count: row ? row.count : 0,
+          averageWeight: row ? Number(row.averageWeight.toFixed(1)) : null,
+        };
+      }
+
+      const listings = herd.listings[0] || {};
+      const marketplaceSales = herd.soldOnMarketplace[0] || {};
+      const offlineSales = herd.soldOffline[0] || {};
+
+      let runningTotal = 0;
+      const growth = herd.growth.map((row) => {
+        runningTotal += row.added;
+        return { period: row._id, added: row.added, cumulative: runningTotal };
+      });
+
+      res.json({
+        range: { from: req.validQuery.from, to: req.validQuery.to },
+        herdSize: Object.values(ageClasses).reduce((n, c) => n + c.count, 0),
+        byGender: toCounts(herd.byGender),
+        byBreed: toCounts(herd.byBreed),
+        ageClasses,
+        healthFlags: toCounts(herd.healthFlags),
+        marketplace: {
+          forSale: listings.forSale || 0,
+          reserved: listings.reserved || 0,
+          totalListedValue: listings.totalListedValue || 0,
+          sold: (marketplaceSales.count || 0) + (offlineSales.count || 0),
+          salesRevenue: marketplaceSales.revenue || 0,
+        },
+        growth,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
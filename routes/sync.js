@@ -0,0 +1,418 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const Goat = require("../models/Goat");
+const Image = require("../models/Image");
+const HealthEvent = require("../models/HealthEvent");
+const Measurement = require("../models/Measurement");
+const SyncOperation = require("../models/SyncOperation");
+const Tombstone = require("../models/Tombstone");
+const { requireAuth, requireActingFarm } = require("../middleware/auth");
+const { checkObject } = require("../middleware/validate");
+const { recordMeasurement } = require("../utils/growth");
+const { refreshHealthStatus } = require("../utils/health");
+const {
+  notArchived,
+  LISTING_FIELDS,
+  updateGoat,
+  archiveGoat,
+} = require("../utils/goats");
+const { can } = require("../utils/farms");
+const {
+  TOMBSTONE_RETENTION_MS,
+  recordDeletion,
+  encodeSyncToken,
+  decodeSyncToken,
+} = require("../utils/sync");
+const { ApiError } = require("../utils/errors");
+const { toApiError } = require("../middleware/errors");
+const { auditGoat } = require("../utils/audit");
+const { operationData } = require("../validators/sync");
+
+const router = express.Router();
+
+const MAX_OPERATIONS = 500;
+
+// A device syncs one farm's herd (X-Farm-Id when the user is on several)
+const farmMembers = requireActingFarm("herd");
+
+// An error that becomes a per-operation result instead of failing the batch
+const opError = (status, message, fields) => {
+  const err = new Error(message);
+  err.opStatus = status;
+  err.fields = fields;
+  return err;
+};
+
+// ApiError statuses (also from validation and cast errors) that are the
+// operation's fault, not the server's. Left to fail the batch, the bad
+// operation would stay queued and block every later sync.
+const OP_STATUSES = {
+  400: "error",
+  403: "forbidden",
+  404: "not_found",
+  409: "error", // Not "conflict": forcing wouldn't help
+};
+
+const asOpError = (err) => {
+  if (err.opStatus) return err;
+
+  const apiError = toApiError(err);
+  const status = apiError && OP_STATUSES[apiError.status];
+  return status ? opError(status, apiError.message, apiError.fields) : null;
+};
+
+// Runs one queued operation. `ctx` carries state shared across the batch:
+// the user, their farm and role there, the client's last sync time, ids
+// created in this batch (clientId -> server id) and ids already touched by
+// earlier operations.
+const applyOperation = async (op, ctx) => {
+  const { user, farm, membership, since, clientIds, touched } = ctx;
+  const clientTime = op.clientTimestamp
+    ? new Date(op.clientTimestamp)
+    : new Date();
+  if (Number.isNaN(clientTime.getTime())) {
+    throw opError("error", "Validation failed", {
+      clientTimestamp: "Must be a valid date",
+    });
+  }
+
+  // Later operations may refer to something created earlier in the batch
+  const resolveId = (id) => (id && clientIds.get(String(id))) || id;
+
+  const loadOwnedGoat = async (id) => {
+    const goatId = resolveId(id);
+    if (!mongoose.Types.ObjectId.isValid(goatId)) {
+      throw opError("error", "Invalid Goat ID");
+    }
+    // Archived goats are gone from the herd, as on the REST routes
+    const goat = await Goat.findOne({ _id: goatId, ...notArchived });
+    if (!goat) throw opError("not_found", "Goat not found");
+    if (!goat.owner.equals(farm._id)) {
+      throw opError("forbidden", "You do not own this goat");
+    }
+    return goat;
+  };
+
+  const checkPermission = (permission) => {
+    if (!can(membership, permission)) {
+      throw opError("forbidden", `A farm ${membership.role} can't do this`);
+    }
+  };
+  const checkListingFields = (data) => {
+    if (LISTING_FIELDS.some((field) => data[field] !== undefined)) {
+      checkPermission("sell");
+    }
+  };
+
+  // The server copy changed after the device last synced -> don't clobber it
+  const checkConflict = (doc) => {
+    if (op.force || !since || touched.has(String(doc._id))) return;
+    if (doc.updatedAt && doc.updatedAt > since) {
+      const err = opError("conflict", "Changed on the server since last sync");
+      err.serverVersion = doc.toObject();
+      throw err;
+    }
+  };
+
+  const key = `${op.entity}.${op.action}`;
+
+  // Only the fields the matching REST route accepts, checked the same way
+  let data = {};
+  if (operationData[key]) {
+    const { values, errors } = checkObject(op.data || {}, operationData[key], {
+      partial: op.action === "update",
+    });
+    if (Object.keys(errors).length > 0) {
+      throw opError("error", "Validation failed", errors);
+    }
+    data = values;
+  }
+
+  switch (key) {
+    case "goat.create": {
+      checkListingFields(data);
+      const goat = new Goat({ ...data, owner: farm._id, addedAt: clientTime });
+
+      try {
+        await goat.save();
+      } catch (saveErr) {
+        if (saveErr.code === 11000) {
+          throw opError("conflict", "RFID tag is already registered");
+        }
+        throw asOpError(saveErr) || opError("error", saveErr.message);
+      }
+
+      await recordMeasurement(goat, {
+        weight: goat.weight,
+        height: goat.height,
+        measuredAt: clientTime,
+        source: "manual",
+        recordedBy: user._id,
+      });
+      await auditGoat("create", user, null, goat, { source: "sync" });
+      return goat;
+    }
+
+    case "goat.update": {
+      const goat = await loadOwnedGoat(op.id);
+      checkConflict(goat);
+
+      // Weight/height go through the measurement history so an older
+      // offline reading can't overwrite a newer one
+      // (rfidTag isn't accepted here: retag via /goats/:id/retag)
+      const { weight, height, ...fields } = data;
+
+      // Same listing rules (and notifications) as /update-goat/:id
+      const before = goat.toObject();
+      await updateGoat(goat, fields, membership);
+
+      if (weight != null || height != null) {
+        await recordMeasurement(goat, {
+          weight,
+          height,
+          measuredAt: clientTime,
+          source: "manual",
+          recordedBy: user._id,
+        });
+      }
+      if (fields.healthStatus) await refreshHealthStatus(goat._id);
+
+      const updated = await Goat.findById(goat._id);
+      await auditGoat("update", user, before, updated, { source: "sync" });
+      return updated;
+    }
+
+    // Deleting on the device archives, same as /delete-goat/:id
+    case "goat.delete": {
+      checkPermission("manage");
+      const goat = await loadOwnedGoat(op.id);
+      checkConflict(goat);
+
+      const before = goat.toObject();
+      await archiveGoat(goat, {
+        reason: data.reason,
+        date: data.date || clientTime,
+        user,
+      });
+      await auditGoat("archive", user, before, goat, { source: "sync" });
+      return goat;
+    }
+
+    case "healthEvent.create": {
+      const { goatId, ...fields } = data;
+      const goat = await loadOwnedGoat(goatId);
+      const event = new HealthEvent({
+        ...fields,
+        goatId: goat._id,
+        recordedBy: user._id,
+      });
+      try {
+        await event.save();
+      } catch (saveErr) {
+        throw asOpError(saveErr) || opError("error", saveErr.message);
+      }
+      await refreshHealthStatus(goat._id);
+      return event;
+    }
+
+    case "healthEvent.update":
+    case "healthEvent.delete": {
+      const event = await HealthEvent.findById(resolveId(op.id));
+      if (!event) throw opError("not_found", "Health event not found");
+      const goat = await loadOwnedGoat(event.goatId);
+      checkConflict(event);
+
+      if (op.action === "delete") {
+        await event.deleteOne();
+        await recordDeletion("healthEvent", event._id, goat.owner);
+      } else {
+        event.set(data);
+        await event.save();
+      }
+
+      await refreshHealthStatus(goat._id);
+      return event;
+    }
+
+    case "measurement.create": {
+      if (data.weight == null && data.height == null) {
+        throw opError("error", "A weight or height reading is required");
+      }
+      const goat = await loadOwnedGoat(data.goatId);
+      return recordMeasurement(goat, {
+        weight: data.weight,
+        height: data.height,
+        sensorId: data.sensorId,
+        source: data.source || "manual",
+        measuredAt: data.measuredAt || clientTime,
+        recordedBy: user._id,
+      });
+    }
+
+    default:
+      throw opError("error", `Unsupported operation: ${key}`);
+  }
+};
+
+// Everything the farm's devices need to know about since `since`
+const collectChanges = async (farm, since) => {
+  const changedSince = since ? { updatedAt: { $gte: since } } : {};
+
+  const goats = await Goat.find({ owner: farm._id, ...changedSince }).lean();
+
+  const goatIds = await Goat.find({ owner: farm._id }).distinct("_id");
+  const byGoat = { goatId: { $in: goatIds }, ...changedSince };
+
+  const [images, healthEvents, measurements, deleted] = await Promise.all([
+    Image.find(byGoat).lean(),
+    HealthEvent.find(byGoat).lean(),
+    Measurement.find(byGoat).lean(),
+    since
+      ? Tombstone.find({ owner: farm._id, deletedAt: { $gte: since } })
+          .select("entity docId deletedAt -_id")
+          .lean()
+      : [],
+  ]);
+
+  return { goats, images, healthEvents, measurements, deleted };
+};
+
+// Builds the pull half of a sync response
+const pullResponse = async (farm, sinceToken) => {
+  const since = decodeSyncToken(sinceToken);
+  if (since === undefined) {
+    throw new ApiError(400, "Invalid sync token", { since: "Invalid token" });
+  }
+
+  // Too old to trust the tombstones -> the app has to start from scratch
+  const fullResync =
+    !since || Date.now() - since.getTime() > TOMBSTONE_RETENTION_MS;
+
+  const syncedAt = new Date();
+  const changes = await collectChanges(farm, fullResync ? null : since);
+
+  return { fullResync, changes, syncToken: encodeSyncToken(syncedAt) };
+};
+
+// A. BATCH SYNC (Push queued operations, then pull the delta)
+// Body: {
+//   lastSyncToken,
+//   operations: [{ opId, entity, action, id, clientId, clientTimestamp, data, force }]
+// }
+// entity/action: goat create|update|delete (archive, needs data.reason), healthEvent create|update|delete,
+// measurement create
+router.post("/sync", requireAuth, farmMembers, async (req, res, next) => {
+  try {
+    const { lastSyncToken, operations = [] } = req.body;
+
+    if (!Array.isArray(operations)) {
+      throw new ApiError(400, "operations must be an array");
+    }
+    if (operations.length > MAX_OPERATIONS) {
+      throw new ApiError(
+        413,
+        `Send at most ${MAX_OPERATIONS} operations per batch`
+      );
+    }
+
+    const since = decodeSyncToken(lastSyncToken);
+    if (since === undefined) {
+      throw new ApiError(400, "Invalid sync token");
+    }
+
+    const ctx = {
+      user: req.user,
+      farm: req.farm,
+      membership: req.membership,
+      since,
+      clientIds: new Map(),
+      touched: new Set(),
+    };
+    const results = [];
+
+    // 1. PUSH: Apply operations in the order the device queued them
+    for (const op of operations) {
+      if (!op || !op.opId) {
+        results.push({ status: "error", error: "opId is required" });
+        continue;
+      }
+
+      // Already applied on an earlier attempt -> replay the stored result
+      const seen = await SyncOperation.findOne({
+        user: req.user._id,
+        opId: op.opId,
+      }).lean();
+      if (seen) {
+        if (seen.result.clientId && seen.result.id) {
+          ctx.clientIds.set(seen.result.clientId, seen.result.id);
+        }
+        results.push({ ...seen.result, duplicate: true });
+        continue;
+      }
+
+      let result;
+      try {
+        const doc = await applyOperation(op, ctx);
+        result = {
+          opId: op.opId,
+          status: "applied",
+          entity: op.entity,
+          action: op.action,
+          id: String(doc._id),
+          clientId: op.clientId,
+        };
+        ctx.touched.add(String(doc._id));
+        if (op.clientId)
+          ctx.clientIds.set(String(op.clientId), String(doc._id));
+      } catch (err) {
+        const opErr = asOpError(err);
+        if (!opErr) throw err;
+        result = {
+          opId: op.opId,
+          status: opErr.opStatus,
+          entity: op.entity,
+          action: op.action,
+          error: opErr.message,
+          fields: opErr.fields,
+          serverVersion: opErr.serverVersion,
+        };
+      }
+
+      // Conflicts aren't stored: the app may retry them with force: true
+      if (result.status !== "conflict") {
+        await SyncOperation.create({
+          user: req.user._id,
+          opId: op.opId,
+          result,
+        }).catch((storeErr) => {
+          if (storeErr.code !== 11000) throw storeErr;
+        });
+      }
+      results.push(result);
+    }
+
+    // 2. PULL: Everything changed on other devices since the last sync
+    const pull = await pullResponse(req.farm, lastSyncToken);
+
+    res.json({ results, ...pull });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// B. PULL ONLY (?since=<syncToken>, omit for a full download)
+router.get(
+  "/sync/changes",
+  requireAuth,
+  farmMembers,
+  async (req, res, next) => {
+    try {
+      res.json(await pullResponse(req.farm, req.query.since));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
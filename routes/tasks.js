@@ -0,0 +1,238 @@
+const express = require("express");
+
+const Farm = require("../models/Farm");
+const Task = require("../models/Task");
+const { requireAuth, requireFarmAccess } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { membershipOf, can } = require("../utils/farms");
+const { generateFarmTasks } = require("../utils/tasks");
+const { toCalendar } = require("../utils/ical");
+const { issueCalendarFeed, findCalendarFeed } = require("../utils/tokens");
+const {
+  tasksQuery,
+  completeTask,
+  snoozeTask,
+  reminders,
+} = require("../validators/tasks");
+
+const router = express.Router();
+
+// Due tasks (boosters, deworming, kidding, weaning, weighing) generated
+// from the herd records by utils/tasks.js, which runs on a timer from
+// server.js. Any member can work through them.
+
+const DAY_MS = 86400000;
+
+// Where calendar apps fetch the feed. Set PUBLIC_URL when behind a proxy.
+const calendarUrlFor = (req, token) =>
+  `${
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  }/calendar/${token}.ics`;
+
+// An open task of the farm in :id, by :taskId
+const loadOpenTask = async (req) => {
+  const task = await Task.findOne({
+    _id: req.params.taskId,
+    farm: req.farm._id,
+  });
+  if (!task) throw new ApiError(404, "Task not found");
+  if (task.status !== "open") {
+    throw new ApiError(409, `This task is already ${task.status}`);
+  }
+  return task;
+};
+
+// A. LIST TASKS
+// Open ones soonest first: ?due=overdue|upcoming|all&days=14 (upcoming =
+// due within `days`). ?status=done|resolved for closed ones, newest first.
+// Also ?type=deworming, ?goat=<id>, ?limit=100.
+router.get(
+  "/farms/:id/tasks",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("herd"),
+  validate({ query: tasksQuery }),
+  async (req, res, next) => {
+    try {
+      const { status, due, days, type, goat, limit } = req.validQuery;
+      const now = new Date();
+      const until = new Date(now.getTime() + days * DAY_MS);
+
+      let remindAt;
+      if (status === "open") {
+        remindAt =
+          due === "overdue"
+            ? { $lt: now }
+            : due === "upcoming"
+            ? { $gte: now, $lte: until }
+            : { $lte: until };
+      }
+
+      const tasks = await Task.find({
+        farm: req.farm._id,
+        status,
+        ...(remindAt && { remindAt }),
+        ...(type && { type }),
+        ...(goat && { goat }),
+      })
+        .sort(status === "open" ? { remindAt: 1 } : { dueAt: -1 })
+        .limit(limit)
+        .populate("goat", "name rfidTag")
+        .populate("completedBy", "name")
+        .lean();
+
+      res.json(tasks.map((task) => ({ ...task, overdue: task.dueAt < now })));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. COMPLETE A TASK
+// Body: { notes? }. Record the dose or weight itself as usual; the next
+// task comes from that record.
+router.post(
+  "/farms/:id/tasks/:taskId/complete",
+  requireAuth,
+  validateId("id", "taskId"),
+  requireFarmAccess("herd"),
+  validate({ body: completeTask }),
+  async (req, res, next) => {
+    try {
+      const task = await loadOpenTask(req);
+
+      task.status = "done";
+      task.completedAt = new Date();
+      task.completedBy = req.user._id;
+      if (req.body.notes) task.notes = req.body.notes;
+      await task.save();
+
+      res.json(task);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. SNOOZE A TASK
+// Body: { until }. It drops out of the lists until then; dueAt stays.
+router.post(
+  "/farms/:id/tasks/:taskId/snooze",
+  requireAuth,
+  validateId("id", "taskId"),
+  requireFarmAccess("herd"),
+  validate({ body: snoozeTask }),
+  async (req, res, next) => {
+    try {
+      if (req.body.until <= new Date()) {
+        throw new ApiError(400, "Validation failed", {
+          until: "Must be in the future",
+        });
+      }
+
+      const task = await loadOpenTask(req);
+      task.remindAt = req.body.until;
+      await task.save();
+
+      res.json(task);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. REMINDER SETTINGS
+router.get(
+  "/farms/:id/reminders",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("herd"),
+  (req, res) => {
+    res.json(req.farm.reminders);
+  }
+);
+
+// Body (partial): { vaccinationBoosterDays, dewormingDays, weaningDays,
+// weighingDays }. Tasks are regenerated right away.
+router.put(
+  "/farms/:id/reminders",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ body: reminders }, { partial: true }),
+  async (req, res, next) => {
+    try {
+      req.farm.set(
+        Object.fromEntries(
+          Object.entries(req.body).map(([field, days]) => [
+            `reminders.${field}`,
+            days,
+          ])
+        )
+      );
+      await req.farm.save();
+      await generateFarmTasks(req.farm);
+
+      res.json(req.farm.reminders);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. CALENDAR LINK
+// Returns { url } of an .ics feed to subscribe to from a phone calendar.
+// Each call replaces the caller's earlier link for this farm.
+router.post(
+  "/farms/:id/calendar",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("herd"),
+  async (req, res, next) => {
+    try {
+      const token = await issueCalendarFeed(req.farm, req.user);
+      res.status(201).json({ url: calendarUrlFor(req, token) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// F. CALENDAR FEED (Public, the token is the secret)
+// Open tasks as all-day events on the day they come up. The link stops
+// working when its member leaves the farm.
+router.get("/calendar/:token.ics", async (req, res, next) => {
+  try {
+    const feed = await findCalendarFeed(req.params.token);
+    const farm = feed && (await Farm.findById(feed.farm));
+    if (!farm || !can(membershipOf(farm, feed.user), "herd")) {
+      throw new ApiError(404, "Calendar not found");
+    }
+
+    const tasks = await Task.find({ farm: farm._id, status: "open" })
+      .sort({ remindAt: 1 })
+      .lean();
+
+    const calendar = toCalendar({
+      name: `${farm.farmName} tasks`,
+      events: tasks.map((task) => ({
+        uid: `${task._id}@smart-g-id`,
+        day: task.remindAt,
+        summary: task.title,
+        description:
+          task.remindAt > task.dueAt
+            ? `Snoozed. Was due ${task.dueAt.toISOString().slice(0, 10)}.`
+            : undefined,
+      })),
+    });
+
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="tasks.ics"');
+    res.send(calendar);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
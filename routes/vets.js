@@ -0,0 +1,154 @@
+const express = require("express");
+
+const User = require("../models/User");
+const Goat = require("../models/Goat");
+const VetAccess = require("../models/VetAccess");
+const {
+  requireAuth,
+  requireRole,
+  requireFarmAccess,
+} = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { ApiError } = require("../utils/errors");
+const { notArchived } = require("../utils/goats");
+const { activeFarm } = require("../utils/farms");
+const { grantAccess } = require("../validators/vets");
+
+const router = express.Router();
+
+// A farm decides which vets can see its goats' health records ("read") or
+// also record treatments ("write"). The health routes themselves check the
+// grant (requireHealthAccess in middleware/auth.js).
+
+// A. LIST VETS WITH ACCESS TO MY FARM
+router.get(
+  "/farms/:id/vets",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  async (req, res, next) => {
+    try {
+      const grants = await VetAccess.find({ farm: req.farm._id })
+        .sort({ grantedAt: -1 })
+        .populate("vet", "name email")
+        .lean();
+
+      res.json(grants);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. GRANT OR CHANGE A VET'S ACCESS
+// Body: { email, permission: "read" | "write" }. The vet needs an account.
+router.put(
+  "/farms/:id/vets",
+  requireAuth,
+  validateId(),
+  requireFarmAccess("manage"),
+  validate({ body: grantAccess }),
+  async (req, res, next) => {
+    try {
+      const vet = await User.findOne({
+        email: req.body.email.toLowerCase(),
+        role: "vet",
+        suspendedAt: { $exists: false },
+      }).select("name email");
+      if (!vet) {
+        throw new ApiError(404, "No veterinarian account with that email", {
+          email: "Not a registered vet",
+        });
+      }
+
+      const grant = await VetAccess.findOneAndUpdate(
+        { farm: req.farm._id, vet: vet._id },
+        {
+          $set: { permission: req.body.permission },
+          $setOnInsert: { grantedAt: new Date() },
+        },
+        { new: true, upsert: true }
+      ).lean();
+
+      res.json({ ...grant, vet });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. REVOKE A VET'S ACCESS
+router.delete(
+  "/farms/:id/vets/:vetId",
+  requireAuth,
+  validateId("id", "vetId"),
+  requireFarmAccess("manage"),
+  async (req, res, next) => {
+    try {
+      const { deletedCount } = await VetAccess.deleteOne({
+        farm: req.farm._id,
+        vet: req.params.vetId,
+      });
+      if (!deletedCount) throw new ApiError(404, "This vet has no access");
+
+      res.json({ message: "Access revoked" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// D. FARMS THAT GAVE ME ACCESS (vets only)
+router.get(
+  "/vet/farms",
+  requireAuth,
+  requireRole("vet"),
+  async (req, res, next) => {
+    try {
+      const grants = await VetAccess.find({ vet: req.user._id })
+        .sort({ grantedAt: -1 })
+        .populate({
+          path: "farm",
+          match: activeFarm,
+          select: "farmName address phone logoThumbnailUrl",
+        })
+        .lean();
+
+      // Suspended farms drop out (populate leaves null)
+      res.json(grants.filter((grant) => grant.farm));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. A GRANTING FARM'S GOATS
+// Enough to pick a goat and open /goats/:id/health-events
+router.get(
+  "/vet/farms/:id/goats",
+  requireAuth,
+  requireRole("vet"),
+  validateId(),
+  async (req, res, next) => {
+    try {
+      const grant = await VetAccess.exists({
+        farm: req.params.id,
+        vet: req.user._id,
+      });
+      if (!grant) throw new ApiError(403, "This farm hasn't given you access");
+
+      const goats = await Goat.find({ owner: req.params.id, ...notArchived })
+        .select(
+          "rfidTag name breed gender birthDate weight healthStatus withdrawalUntil"
+        )
+        .sort({ name: 1 })
+        .lean();
+
+      res.json(goats);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require("express");
+
+const Goat = require("../models/Goat");
+const Farm = require("../models/Farm");
+const Watch = require("../models/Watch");
+const Notification = require("../models/Notification");
+const { requireAuth } = require("../middleware/auth");
+const { validate, validateId } = require("../middleware/validate");
+const { activeFarm, isMember } = require("../utils/farms");
+const { ApiError } = require("../utils/errors");
+const { encodeCursor, afterCursor } = require("../utils/cursors");
+const { orderedImagesLookup } = require("../utils/images");
+const { notificationsQuery } = require("../validators/watchlist");
+
+const router = express.Router();
+
+// Shared by save-goat and follow-farm: idempotent, 201 either way
+const addWatch = async (user, target) => {
+  await Watch.updateOne(
+    { user: user._id, ...target },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+// A. SAVE A GOAT
+router.post(
+  "/watchlist/goats/:id",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      const goat = await Goat.findById(req.params.id).select("owner");
+      if (!goat) throw new ApiError(404, "Goat not found");
+      if (await isMember(goat.owner, req.user._id)) {
+        throw new ApiError(400, "You can't watch your own goat");
+      }
+
+      await addWatch(req.user, { goat: goat._id });
+      res.status(201).json({ message: "Goat saved" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  "/watchlist/goats/:id",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      await Watch.deleteOne({ user: req.user._id, goat: req.params.id });
+      res.json({ message: "Goat removed from watchlist" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B. FOLLOW A FARM (notified when it lists a goat)
+router.post(
+  "/watchlist/farms/:id",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      if (await isMember(req.params.id, req.user._id)) {
+        throw new ApiError(400, "You can't follow your own farm");
+      }
+      const farm = await Farm.exists({ _id: req.params.id, ...activeFarm });
+      if (!farm) throw new ApiError(404, "Farm not found");
+
+      await addWatch(req.user, { farm: farm._id });
+      res.status(201).json({ message: "Farm followed" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  "/watchlist/farms/:id",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      await Watch.deleteOne({ user: req.user._id, farm: req.params.id });
+      res.json({ message: "Farm unfollowed" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// C. MY WATCHLIST
+// Saved goats with their current price and status (they may since have been
+// reserved, sold or taken down) and followed farms.
+router.get("/watchlist", requireAuth, async (req, res, next) => {
+  try {
+    const watches = await Watch.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const goatIds = watches.filter((w) => w.goat).map((w) => w.goat);
+    const farmIds = watches.filter((w) => w.farm).map((w) => w.farm);
+
+    const [goats, farms] = await Promise.all([
+      Goat.aggregate([
+        { $match: { _id: { $in: goatIds } } },
+        orderedImagesLookup("goatImages"),
+        {
+          $project: {
+            name: 1,
+            breed: 1,
+            gender: 1,
+            price: 1,
+            owner: 1,
+            isForSale: 1,
+            isReserved: 1,
+            isSold: 1,
+            archivedAt: 1,
+            takedownAt: "$takedown.at",
+            mainPhotoThumbnail: {
+              $arrayElemAt: ["$goatImages.thumbnailUrl", 0],
+            },
+          },
+        },
+      ]),
+      Farm.find({ _id: { $in: farmIds } })
+        .select("farmName address logoThumbnailUrl")
+        .lean(),
+    ]);
+
+    // Keep the order the user saved them in
+    const byId = (docs) => new Map(docs.map((d) => [String(d._id), d]));
+    const goatsById = byId(goats);
+    const farmsById = byId(farms);
+
+    res.json({
+      goats: goatIds
+        .map((id) => goatsById.get(String(id)))
+        .filter(Boolean)
+        .map(({ archivedAt, takedownAt, ...goat }) => ({
+          ...goat,
+          available:
+            goat.isForSale &&
+            !goat.isReserved &&
+            !goat.isSold &&
+            !archivedAt &&
+            !takedownAt,
+        })),
+      farms: farmIds.map((id) => farmsById.get(String(id))).filter(Boolean),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// D. NOTIFICATIONS
+// Newest first. ?unreadOnly=true, ?cursor=<nextCursor of the last page>
+router.get(
+  "/notifications",
+  requireAuth,
+  validate({ query: notificationsQuery }),
+  async (req, res, next) => {
+    try {
+      const { limit, cursor, unreadOnly } = req.validQuery;
+      const mine = { user: req.user._id };
+
+      const [notifications, unread] = await Promise.all([
+        Notification.find({
+          ...mine,
+          ...(unreadOnly && { readAt: { $exists: false } }),
+          ...afterCursor("createdAt", cursor),
+        })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(limit)
+          .lean(),
+        Notification.countDocuments({ ...mine, readAt: { $exists: false } }),
+      ]);
+
+      const last = notifications[notifications.length - 1];
+      res.json({
+        notifications,
+        unread,
+        nextCursor:
+          notifications.length === limit
+            ? encodeCursor(last.createdAt, last._id)
+            : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// E. MARK ALL AS READ
+router.post("/notifications/read", requireAuth, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ marked: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// F. MARK ONE AS READ
+router.post(
+  "/notifications/:id/read",
+  requireAuth,
+  validateId(),
+  async (req, res, next) => {
+    try {
+      const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id },
+        { $min: { readAt: new Date() } }, // Keeps the first read time
+        { new: true }
+      );
+      if (!notification) throw new ApiError(404, "Notification not found");
+
+      res.json(notification);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
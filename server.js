@@ -1,8 +1,6 @@
 const express = require("express");
 const mongoose = require("mongoose");
-const multer = require("multer");
 const fs = require("fs");
-const path = require("path");
 const cors = require("cors");
 const bcrypt = require("bcryptjs");
 
@@ -12,19 +10,124 @@ require("dotenv").config();
 const User = require("./models/User");
 const Goat = require("./models/Goat");
 const Image = require("./models/Image");
+const { recordMeasurement } = require("./utils/growth");
+const {
+  notArchived,
+  archiveGoat,
+  restoreGoat,
+  purgeGoat,
+  updateGoat,
+  sweepOrphanUploads,
+} = require("./utils/goats");
+const { recordDeletion } = require("./utils/sync");
+const { notifyListingChanges } = require("./utils/notifications");
+const { auditGoat } = require("./utils/audit");
+const { generateAllTasks } = require("./utils/tasks");
+const { ensureRoles } = require("./utils/roles");
+const { isMember, ensureOwnFarm, migrateToFarms } = require("./utils/farms");
+const {
+  refreshHealthStatus,
+  clearExpiredWithdrawals,
+} = require("./utils/health");
+const {
+  UPLOAD_DIR,
+  deleteImageFiles,
+  saveGoatImage,
+  ensurePrimary,
+  orderedImagesLookup,
+} = require("./utils/images");
+
+// --- VALIDATION & ERRORS --- //
+const { ApiError } = require("./utils/errors");
+const { validate, validateId } = require("./middleware/validate");
+const { notFoundHandler, errorHandler } = require("./middleware/errors");
+const authSchemas = require("./validators/auth");
+const goatSchemas = require("./validators/goats");
+
+// --- AUTH --- //
+const {
+  suspendedError,
+  requireAuth,
+  requireRole,
+  requireGoatAccess,
+  requireActingFarm,
+} = require("./middleware/auth");
+const {
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("./utils/tokens");
+const { sendVerificationEmail } = require("./utils/account");
+const { rateLimit } = require("./middleware/rateLimit");
+const {
+  LIMITS,
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("./utils/rateLimit");
 
 const app = express();
 const PORT = 5000;
 
+// Set to "true" to refuse logins until the emailed link has been opened
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1") so rate limits see the
+// client's IP instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Request body limits. Most endpoints take a small JSON form; only the
+// legacy /add-goat (base64 photos) and /sync batches need more.
+const BODY_LIMIT = process.env.BODY_LIMIT || "100kb";
+const PHOTO_BODY_LIMIT = process.env.PHOTO_BODY_LIMIT || "50mb";
+const SYNC_BODY_LIMIT = process.env.SYNC_BODY_LIMIT || "2mb";
+
+// Answered the same way whether the email or the password was wrong, so it
+// can't be used to find out who has an account
+const LOGIN_FAILED = "Invalid email or password";
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
 // --- MIDDLEWARE --- //
 app.use(cors());
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// The first parser to match wins, so the larger ones go first. /add-goat
+// parses its own body once the caller is known (see photoBody).
+const smallJson = express.json({ limit: BODY_LIMIT });
+app.use("/sync", express.json({ limit: SYNC_BODY_LIMIT }));
+app.use((req, res, next) =>
+  req.path === "/add-goat" ? next() : smallJson(req, res, next)
+);
+app.use(express.urlencoded({ limit: BODY_LIMIT, extended: true }));
+
+// Per-IP limits on everything reachable without an account (or to get one).
+// Login also has its own per-account lockout below.
+app.use(
+  [
+    "/login",
+    "/register",
+    "/refresh",
+    "/account/forgot-password",
+    "/account/reset-password",
+    "/account/verify-email",
+  ],
+  rateLimit("auth")
+);
+app.get(["/api/goats", "/goats"], rateLimit("public"));
+app.use(
+  ["/api/farms", "/get-goat", "/certificates", "/calendar", "/events"],
+  rateLimit("public")
+);
 
 // ✅ FIX 1: Use absolute path for static files
 // This ensures the server looks in the EXACT same folder where you saved the images
-console.log("📂 Serving static files from:", path.join(__dirname, "uploads"));
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+console.log("📂 Serving static files from:", UPLOAD_DIR);
+app.use("/uploads", express.static(UPLOAD_DIR));
 
 // --- DATABASE --- //
 const mongoString = process.env.MONGO_URI;
@@ -32,243 +135,457 @@ console.log("⏳ Connecting to MongoDB...");
 
 mongoose
   .connect(mongoString)
-  .then(() => console.log("✅ Connected to MongoDB Cloud (Atlas)!"))
+  .then(() => {
+    console.log("✅ Connected to MongoDB Cloud (Atlas)!");
+
+    // Roles first: the farm migration promotes buyers who own goats
+    ensureRoles()
+      .then(migrateToFarms)
+      .catch((err) => console.error("❌ Account Migration Error:", err))
+      // Tasks belong to farms, so only once the migration has run
+      .then(generateAllTasks)
+      .catch((err) => console.error("❌ Task Scheduler Error:", err));
+
+    // Due tasks (boosters, deworming, kidding, ...) from the herd records
+    setInterval(() => {
+      generateAllTasks().catch((err) =>
+        console.error("❌ Task Scheduler Error:", err)
+      );
+    }, 60 * 60 * 1000);
+
+    // Drop "Under withdrawal" once the withdrawal date has passed
+    clearExpiredWithdrawals().catch((err) =>
+      console.error("❌ Withdrawal Cleanup Error:", err)
+    );
+    setInterval(() => {
+      clearExpiredWithdrawals().catch((err) =>
+        console.error("❌ Withdrawal Cleanup Error:", err)
+      );
+    }, 60 * 60 * 1000);
+
+    // Remove files in uploads/ that lost their Image record
+    setInterval(() => {
+      sweepOrphanUploads().catch((err) =>
+        console.error("❌ Upload Sweep Error:", err)
+      );
+    }, 24 * 60 * 60 * 1000);
+  })
   .catch((err) => console.error("❌ Cloud Connection Error:", err));
 
-// --- MULTER SETUP --- //
+// --- UPLOADS --- //
 // Ensure uploads directory exists using absolute path
-const uploadDir = path.join(__dirname, "uploads");
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir);
+if (!fs.existsSync(UPLOAD_DIR)) {
+  fs.mkdirSync(UPLOAD_DIR);
 }
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/");
-  },
-  filename: (req, file, cb) => {
-    cb(null, Date.now() + "_" + file.originalname);
-  },
-});
-const upload = multer({ storage: storage });
-
 // --- ROUTES --- //
+app.use(require("./routes/measurements"));
+app.use(require("./routes/health"));
+app.use(require("./routes/breeding"));
+app.use(require("./routes/offers"));
+app.use(require("./routes/marketplace"));
+app.use(require("./routes/images"));
+app.use(require("./routes/scans"));
+app.use(require("./routes/sync"));
+app.use(require("./routes/stats"));
+app.use(require("./routes/herd"));
+app.use(require("./routes/certificates"));
+app.use(require("./routes/farms"));
+app.use(require("./routes/members"));
+app.use(require("./routes/audit"));
+app.use(require("./routes/tasks"));
+app.use(require("./routes/events"));
+app.use(require("./routes/messages"));
+app.use(require("./routes/watchlist"));
+app.use(require("./routes/account"));
+app.use(require("./routes/vets"));
+app.use(require("./routes/admin"));
 
 app.get("/", (req, res) => {
   res.send("Backend is running!");
 });
 
 // A. REGISTER
-app.post("/register", async (req, res) => {
-  // ... (Your existing register logic is fine) ...
-  try {
-    const { email, password, farmName, address } = req.body;
-    const existingUser = await User.findOne({ email });
-    if (existingUser)
-      return res.status(400).json({ error: "Email already exists." });
-
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    const newUser = new User({
-      email,
-      farmName,
-      address,
-      password: hashedPassword,
-    });
-    await newUser.save();
-
-    const userResponse = newUser.toObject();
-    delete userResponse.password;
-
-    res.status(201).json(userResponse);
-  } catch (err) {
-    console.error("❌ Registration Error:", err);
-    res.status(500).json({ error: "Server error." });
+app.post(
+  "/register",
+  validate({ body: authSchemas.register }),
+  async (req, res, next) => {
+    // ... (Your existing register logic is fine) ...
+    try {
+      const { email, password, role, name, farmName, address } = req.body;
+
+      // A farmer who sends a farm name and address gets their own farm
+      // right away; one without is staff waiting for an invitation. Everyone
+      // needs a name to show in messages and offers, which for a farm owner
+      // defaults to the farm name.
+      const ownsFarm = role === "farmer" && Boolean(farmName);
+      const missing = {};
+      if (ownsFarm && !address) {
+        missing.address = "Is required with a farm name";
+      }
+      if (!name && !ownsFarm) missing.name = "Is required";
+      if (Object.keys(missing).length > 0) {
+        throw new ApiError(400, "Validation failed", missing);
+      }
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser)
+        throw new ApiError(409, "Email already exists.", {
+          email: "Already registered",
+        });
+
+      const salt = await bcrypt.genSalt(10);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      const newUser = new User({
+        email,
+        role,
+        name: name || farmName,
+        password: hashedPassword,
+      });
+      await newUser.save();
+
+      const farm = ownsFarm
+        ? await ensureOwnFarm(newUser, { farmName, address })
+        : null;
+
+      // Registration still succeeds if the mail can't go out; the app can
+      // ask for another link via /account/verify-email/resend
+      try {
+        await sendVerificationEmail(newUser);
+      } catch (mailErr) {
+        console.error("❌ Verification email failed:", mailErr.message);
+      }
+
+      const userResponse = newUser.toObject();
+      delete userResponse.password;
+      userResponse.farms = farm
+        ? [{ _id: farm._id, farmName: farm.farmName, role: "owner" }]
+        : [];
+
+      res.status(201).json(userResponse);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
 // B. LOGIN
-app.post("/login", async (req, res) => {
-  // ... (Your existing login logic is fine) ...
-  try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
+// Repeated wrong passwords lock the email (and, past a higher count, the IP)
+// for a while; see utils/rateLimit.js.
+app.post(
+  "/login",
+  validate({ body: authSchemas.login }),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const retryAfter = await loginRetryAfter(req.ip, email);
+      if (retryAfter > 0) {
+        const seconds = Math.ceil(retryAfter / 1000);
+        res.set("Retry-After", String(seconds));
+        throw new ApiError(
+          429,
+          `Too many failed logins. Try again in ${seconds} seconds.`
+        );
+      }
 
-    if (!user) return res.status(400).json({ error: "User not found" });
+      const user = await User.findOne({ email });
+      const isMatch = await bcrypt.compare(
+        password,
+        user ? user.password : DUMMY_HASH
+      );
+      if (!user || !isMatch) {
+        await recordLoginFailure(req.ip, email);
+        throw new ApiError(401, LOGIN_FAILED);
+      }
+      await recordLoginSuccess(email);
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: "Invalid credentials" });
+      if (user.suspendedAt) throw suspendedError();
 
-    const userResponse = user.toObject();
-    delete userResponse.password;
+      if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+        throw new ApiError(
+          403,
+          "Please confirm your email address first",
+          undefined,
+          "EMAIL_NOT_VERIFIED"
+        );
+      }
 
-    res.json({ status: "ok", user: userResponse });
-  } catch (err) {
-    console.error("❌ Login Error:", err);
-    res.status(500).json({ error: err.message });
+      const userResponse = user.toObject();
+      delete userResponse.password;
+
+      const accessToken = signAccessToken(user);
+      const refreshToken = await issueRefreshToken(user);
+
+      res.json({ status: "ok", user: userResponse, accessToken, refreshToken });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+// B2. REFRESH (Swap a refresh token for a new access + refresh token pair)
+app.post(
+  "/refresh",
+  validate({ body: authSchemas.refresh }),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const rotated = await rotateRefreshToken(refreshToken);
+      if (!rotated) throw new ApiError(401, "Invalid or expired refresh token");
+
+      const user = await User.findById(rotated.userId).select("-password");
+      if (!user) throw new ApiError(401, "User no longer exists");
+      if (user.suspendedAt) throw suspendedError();
+
+      res.json({
+        status: "ok",
+        accessToken: signAccessToken(user),
+        refreshToken: rotated.refreshToken,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// B3. LOGOUT (Revoke the refresh token so it can't be used again)
+app.post(
+  "/logout",
+  validate({ body: authSchemas.logout }),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+      if (refreshToken) await revokeRefreshToken(refreshToken);
+
+      res.json({ status: "ok" });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 // C. ADD OR UPDATE GOAT
-app.post("/add-goat", async (req, res) => {
-  console.log("\n--- ADD/UPDATE GOAT REQUEST ---");
+// Base64 photos make the body large, so it's only read for signed-in
+// farmers and at most LIMITS.photoUpload times per user
+const photoBody = [
+  rateLimit({
+    name: "photoUpload",
+    ...LIMITS.photoUpload,
+    key: (req) => String(req.user._id),
+  }),
+  express.json({ limit: PHOTO_BODY_LIMIT }),
+];
+
+app.post(
+  "/add-goat",
+  requireAuth,
+  requireRole("farmer"),
+  requireActingFarm("herd"),
+  ...photoBody,
+  validate({ body: goatSchemas.addGoat }),
+  async (req, res, next) => {
+    console.log("\n--- ADD/UPDATE GOAT REQUEST ---");
+
+    try {
+      const {
+        rfidTag,
+        name,
+        gender,
+        breed,
+        birthDate,
+        weight,
+        height,
+        healthStatus,
+        sire,
+        dam,
+        photos,
+        sensorId,
+        measurementSource,
+        addedAt,
+      } = req.body;
+
+      console.log(`📦 Processing: ${name} (${rfidTag})`);
+
+      // The owner is always the caller's farm, never whatever the client sends
+      const owner = req.farm._id;
+
+      // Don't let one farm overwrite another farm's goat by reusing its tag
+      const existing = await Goat.findOne({ rfidTag });
+      if (existing && !existing.owner.equals(owner)) {
+        throw new ApiError(
+          409,
+          "This RFID tag belongs to another farm's goat",
+          {
+            rfidTag: "Already registered",
+          }
+        );
+      }
 
-  try {
-    const {
-      owner,
-      rfidTag,
-      name,
-      gender,
-      breed,
-      birthDate,
-      weight,
-      height,
-      healthStatus,
-      photos,
-    } = req.body;
-
-    console.log(`📦 Processing: ${name} (${rfidTag})`);
-
-    const goat = await Goat.findOneAndUpdate(
-      { rfidTag: rfidTag },
-      {
-        $set: {
-          owner,
-          name,
-          gender,
-          breed,
-          birthDate,
-          weight,
-          height,
-          healthStatus,
-          addedAt: Date.now(),
+      const goat = await Goat.findOneAndUpdate(
+        { rfidTag: rfidTag },
+        {
+          $set: {
+            owner,
+            name,
+            gender,
+            breed,
+            birthDate,
+            weight,
+            height,
+            healthStatus,
+            ...(sire !== undefined && { sire }),
+            ...(dam !== undefined && { dam }),
+          },
+          // Only stamped on creation. Offline clients send when it was recorded.
+          $setOnInsert: { addedAt: addedAt ? new Date(addedAt) : Date.now() },
         },
-      },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
 
-    console.log(`✅ Goat ID: ${goat._id}`);
+      console.log(`✅ Goat ID: ${goat._id}`);
 
-    // IMAGE LOGIC
-    if (photos && photos.length > 0) {
-      console.log("🔄 New photos detected. Starting cleanup sequence...");
+      // Re-apply the tags derived from the health log on top of the client's tags
+      if (healthStatus) await refreshHealthStatus(goat._id);
 
-      // --- CLEANUP OLD IMAGES ---
-      try {
-        const oldImages = await Image.find({ goatId: goat._id });
-
-        for (const img of oldImages) {
-          // ✅ FIX 2: Use absolute path for deletion to match creation
-          const filePath = path.join(__dirname, "uploads", img.filename);
-
-          try {
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-              console.log(`   🗑️ Deleted file: ${img.filename}`);
-            }
-          } catch (fileErr) {
-            console.error(
-              `   ❌ Error deleting file ${img.filename}:`,
-              fileErr.message
-            );
-          }
-        }
+      await auditGoat(
+        existing ? "update" : "create",
+        req.user,
+        existing,
+        await Goat.findById(goat._id)
+      );
 
-        await Image.deleteMany({ goatId: goat._id });
-        console.log(`   ✅ Removed records from DB.`);
-      } catch (cleanupErr) {
-        console.error("❌ Critical error during cleanup:", cleanupErr);
+      // Keep every scan in the history instead of only the overwritten value
+      if (weight != null || height != null) {
+        await recordMeasurement(goat, {
+          weight,
+          height,
+          sensorId,
+          source: measurementSource,
+          recordedBy: req.user._id,
+        });
       }
 
-      // --- SAVE NEW IMAGES ---
-      console.log(`📸 Saving ${photos.length} new images...`);
+      // IMAGE LOGIC
+      // Older app versions send the whole gallery as base64 data URLs and expect
+      // it to replace what's there. New clients use /goats/:id/images instead.
+      if (photos && photos.length > 0) {
+        console.log("🔄 New photos detected. Starting cleanup sequence...");
+
+        // --- CLEANUP OLD IMAGES ---
+        try {
+          const oldImages = await Image.find({ goatId: goat._id });
+          oldImages.forEach(deleteImageFiles);
+
+          await Image.deleteMany({ goatId: goat._id });
+          await recordDeletion(
+            "image",
+            oldImages.map((img) => img._id),
+            goat.owner
+          );
+          console.log(`   ✅ Removed records from DB.`);
+        } catch (cleanupErr) {
+          console.error("❌ Critical error during cleanup:", cleanupErr);
+        }
 
-      const imagePromises = photos.map(async (base64String, index) => {
-        const matches = base64String.match(
-          /^data:([A-Za-z-+\/]+);base64,(.+)$/
-        );
-        if (!matches || matches.length !== 3) return null;
+        // --- SAVE NEW IMAGES ---
+        console.log(`📸 Saving ${photos.length} new images...`);
 
-        const imageBuffer = Buffer.from(matches[2], "base64");
-        const filename = `${Date.now()}_${goat._id}_img${index}.jpg`;
-        const filePath = path.join(__dirname, "uploads", filename);
+        // One at a time so gallery positions follow the order sent
+        let saved = 0;
+        for (const [index, base64String] of photos.entries()) {
+          const matches = base64String.match(
+            /^data:([A-Za-z-+\/]+);base64,(.+)$/
+          );
+          if (!matches || matches.length !== 3) continue;
 
-        fs.writeFileSync(filePath, imageBuffer);
+          try {
+            await saveGoatImage(
+              goat._id,
+              Buffer.from(matches[2], "base64"),
+              matches[1],
+              { position: index, isPrimary: index === 0 }
+            );
+            saved += 1;
+          } catch (imageErr) {
+            console.error(`   ❌ Skipped photo ${index}:`, imageErr.message);
+          }
+        }
 
-        // ✅ FIX 3: Store RELATIVE URL only
-        // Instead of hardcoding 'http://localhost:5000', we just store 'uploads/filename.jpg'.
-        // This allows the frontend to decide the IP address (localhost vs 10.109...)
-        const newImage = new Image({
-          goatId: goat._id,
-          filename: filename,
-          imageUrl: `uploads/${filename}`,
+        await ensurePrimary(goat._id);
+        await auditGoat("image_added", req.user, goat, goat, {
+          data: { replacedGallery: true, count: saved },
         });
+        console.log("✅ New images saved successfully.");
+      }
 
-        return newImage.save();
+      res.status(200).json({
+        status: "ok",
+        message: "Goat record updated successfully!",
+        goat: goat,
       });
-
-      await Promise.all(imagePromises);
-      console.log("✅ New images saved successfully.");
+    } catch (err) {
+      next(err);
     }
-
-    res.status(200).json({
-      status: "ok",
-      message: "Goat record updated successfully!",
-      goat: goat,
-    });
-  } catch (err) {
-    console.error("❌ Error processing goat:", err);
-    res.status(500).json({ error: err.message });
   }
-});
+);
 
 // D. GET GOATS (With Image Lookup)
-app.get("/get-goats/:userId", async (req, res) => {
-  try {
-    const { userId } = req.params;
+// The id is the farm's. Farms from before farms were separate share their
+// owner's user id, so older apps that send the user id still work.
+app.get(
+  "/get-goats/:farmId",
+  requireAuth,
+  validateId("farmId"),
+  async (req, res, next) => {
+    try {
+      const { farmId } = req.params;
+
+      // Members can only list their own farm's herd
+      if (!(await isMember(farmId, req.user._id))) {
+        throw new ApiError(403, "You can only view your own goats");
+      }
 
-    // We get the goats normally
-    const goats = await Goat.aggregate([
-      { $match: { owner: new mongoose.Types.ObjectId(userId) } },
-      { $sort: { addedAt: -1 } },
-      {
-        $lookup: {
-          from: "images",
-          localField: "_id",
-          foreignField: "goatId",
-          as: "goatImages",
-        },
-      },
-      {
-        $addFields: {
-          // Because we changed how we save URLs, we just grab the path here
-          mainPhotoPath: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
+      // Archived goats are hidden unless ?includeArchived=true
+      const match = { owner: new mongoose.Types.ObjectId(farmId) };
+      if (req.query.includeArchived !== "true")
+        Object.assign(match, notArchived);
+
+      // We get the goats normally
+      const goats = await Goat.aggregate([
+        { $match: match },
+        { $sort: { addedAt: -1 } },
+        orderedImagesLookup("goatImages"),
+        {
+          $addFields: {
+            // The primary photo comes first in the lookup
+            mainPhotoPath: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
+            mainPhotoThumbnail: {
+              $arrayElemAt: ["$goatImages.thumbnailUrl", 0],
+            },
+          },
         },
-      },
-      { $project: { goatImages: 0 } },
-    ]);
+        { $project: { goatImages: 0 } },
+      ]);
 
-    // ✅ Optional: Helper to append full URL if you want backend to handle it
-    // But usually frontend handling is better for mobile apps.
-    // For now, we return the paths directly.
+      // ✅ Optional: Helper to append full URL if you want backend to handle it
+      // But usually frontend handling is better for mobile apps.
+      // For now, we return the paths directly.
 
-    res.status(200).json(goats);
-  } catch (err) {
-    console.error("❌ Error fetching goats:", err);
-    res.status(500).json({ error: err.message });
+      res.status(200).json(goats);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-app.get("/get-goat/:id", async (req, res) => {
+// Validate ID format first to prevent crashes
+app.get("/get-goat/:id", validateId(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate ID format to prevent crashes
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(404).json({ error: "Invalid Goat ID" });
-    }
-
     const goats = await Goat.aggregate([
       // 1. MATCH: Find the specific goat by ID
       // We must cast the string 'id' to a real ObjectId for aggregation to work
@@ -281,25 +598,18 @@ app.get("/get-goat/:id", async (req, res) => {
         },
       },
 
-      // 3. LOOKUP OWNER: Get farm details from Users collection
+      // 3. LOOKUP OWNER: Get farm details from Farms collection
       {
         $lookup: {
-          from: "users",
+          from: "farms",
           localField: "ownerObjectId",
           foreignField: "_id",
           as: "ownerData",
         },
       },
 
-      // 4. LOOKUP IMAGES: Get all images for this goat
-      {
-        $lookup: {
-          from: "images",
-          localField: "_id",
-          foreignField: "goatId", // Matches the 'goatId' field in your Image schema
-          as: "goatImages",
-        },
-      },
+      // 4. LOOKUP IMAGES: Get all images for this goat, primary first
+      orderedImagesLookup("goatImages"),
 
       // 5. FORMAT DATA
       {
@@ -316,6 +626,9 @@ app.get("/get-goat/:id", async (req, res) => {
           healthStatus: 1,
           rfidTag: 1,
           isForSale: 1,
+          withdrawalUntil: 1,
+          archivedAt: 1,
+          archiveReason: 1,
           description: 1, // Include if you have it
 
           // Transform Images: Convert array of objects -> array of URL strings
@@ -326,12 +639,32 @@ app.get("/get-goat/:id", async (req, res) => {
               in: "$$img.imageUrl",
             },
           },
+          // Full records (ids, sizes, primary flag) for the photo manager
+          imageDetails: {
+            $map: {
+              input: "$goatImages",
+              as: "img",
+              in: {
+                _id: "$$img._id",
+                imageUrl: "$$img.imageUrl",
+                thumbnailUrl: "$$img.thumbnailUrl",
+                mediumUrl: "$$img.mediumUrl",
+                isPrimary: "$$img.isPrimary",
+                position: "$$img.position",
+              },
+            },
+          },
 
           // Create the ownerDetails object (taking the first match from the array)
+          // No login email here: buyers contact the farm through /conversations
           ownerDetails: {
+            _id: { $arrayElemAt: ["$ownerData._id", 0] },
             farmName: { $arrayElemAt: ["$ownerData.farmName", 0] },
             address: { $arrayElemAt: ["$ownerData.address", 0] },
-            email: { $arrayElemAt: ["$ownerData.email", 0] },
+            phone: { $arrayElemAt: ["$ownerData.phone", 0] },
+            logoThumbnailUrl: {
+              $arrayElemAt: ["$ownerData.logoThumbnailUrl", 0],
+            },
           },
         },
       },
@@ -339,284 +672,133 @@ app.get("/get-goat/:id", async (req, res) => {
 
     // Check if goat was found
     if (!goats || goats.length === 0) {
-      return res.status(404).json({ error: "Goat not found" });
+      throw new ApiError(404, "Goat not found");
     }
 
     // Return the single object (goats[0]), not the array
     res.json(goats[0]);
   } catch (err) {
-    console.error("❌ Get-Goat Error:", err);
-    res.status(500).json({ error: err.message });
+    next(err);
   }
 });
 
 // E. UPDATE GOAT (Partial Update for Marketplace)
 // This supports sending just { price: 500, isForSale: true }
-app.put("/update-goat/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // { new: true } returns the updated document so the UI updates instantly
-    const updatedGoat = await Goat.findByIdAndUpdate(id, req.body, {
-      new: true,
-    });
-
-    if (!updatedGoat) {
-      return res.status(404).json({ error: "Goat not found" });
+app.put(
+  "/update-goat/:id",
+  requireAuth,
+  requireGoatAccess("herd"),
+  // Only whitelisted fields get through. Ownership, tags, sale and archive
+  // state have their own endpoints and are rejected here.
+  validate(
+    { body: goatSchemas.updateGoat },
+    { partial: true, forbidden: goatSchemas.updateGoatForbidden }
+  ),
+  async (req, res, next) => {
+    try {
+      // Listing rules and notifications: see updateGoat in utils/goats.js
+      const updatedGoat = await updateGoat(req.goat, req.body, req.membership);
+
+      const result = req.body.healthStatus
+        ? await refreshHealthStatus(updatedGoat._id)
+        : updatedGoat;
+      await auditGoat("update", req.user, req.goat, result);
+
+      res.json(result);
+    } catch (err) {
+      next(err);
     }
-
-    res.json(updatedGoat);
-  } catch (err) {
-    console.error("❌ Update Error:", err);
-    res.status(500).json({ error: err.message });
   }
-});
-
-// F. GET ALL MARKETPLACE GOATS (Public Feed)
-app.get("/api/goats", async (req, res) => {
-  try {
-    const goats = await Goat.aggregate([
-      // 1. FILTER: Only show goats for sale
-      { $match: { isForSale: true } },
-
-      // 2. SORT: Newest listed first
-      { $sort: { listedAt: -1 } },
-
-      // === FIX STARTS HERE ===
-      // 3. CONVERT ID: Ensure 'owner' is treated as an ObjectId so Lookup works
-      {
-        $addFields: {
-          ownerObjectId: { $toObjectId: "$owner" },
-        },
-      },
-
-      // 4. LOOKUP USER: Match the converted ID
-      {
-        $lookup: {
-          from: "users",
-          localField: "ownerObjectId", // Use the converted ID
-          foreignField: "_id",
-          as: "ownerData",
-        },
-      },
-      // === FIX ENDS HERE ===
-
-      // 5. LOOKUP IMAGES
-      {
-        $lookup: {
-          from: "images",
-          localField: "_id",
-          foreignField: "goatId",
-          as: "goatImages",
-        },
-      },
-
-      // 6. FORMAT DATA
-      {
-        $addFields: {
-          mainPhoto: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
-          // Extract the address we just found
-          ownerAddress: { $arrayElemAt: ["$ownerData.address", 0] },
-          // Optional: Extract Farm Name too
-          farmName: { $arrayElemAt: ["$ownerData.farmName", 0] },
-        },
-      },
-
-      // 7. CLEANUP
-      { $project: { goatImages: 0, ownerData: 0, ownerObjectId: 0 } },
-    ]);
-
-    res.status(200).json(goats);
-  } catch (err) {
-    console.error("❌ Marketplace Error:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
-
-// G. DELETE GOAT
-app.delete("/delete-goat/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // 1. Delete the Goat Record
-    await Goat.findByIdAndDelete(id);
-
-    // 2. Delete associated Images from DB
-    // (Optional: You could also delete the actual files from /uploads here if you want to be clean)
-    await Image.deleteMany({ goatId: id });
-
-    res.json({ message: "Goat deleted successfully" });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-app.get("/api/farms", async (req, res) => {
-  try {
-    // Fetch users (you might want to filter by role: 'breeder' or 'farmer' if you have that field)
-    const farms = await User.find({})
-      .select("farmName address email _id profileImage") // Only select public info
-      .lean();
-
-    res.json(farms);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-app.get("/api/goats", async (req, res) => {
-  try {
-    const goats = await Goat.aggregate([
-      // 1. FILTER: Only show goats that are marked for sale
-      { $match: { isForSale: true } },
-
-      // 2. SORT: Newest listed first
-      { $sort: { listedAt: -1 } },
-
-      // 3. CONVERT OWNER ID:
-      // The 'owner' field in Goat is likely a String, but we need an ObjectId for lookup
-      {
-        $addFields: {
-          ownerObjectId: { $toObjectId: "$owner" },
-        },
-      },
-
-      // 4. LOOKUP OWNER (USER): Match the converted ID to the User collection
-      {
-        $lookup: {
-          from: "users",
-          localField: "ownerObjectId",
-          foreignField: "_id",
-          as: "ownerData",
-        },
-      },
-
-      // 5. LOOKUP IMAGES: Get images linked to this goat
-      {
-        $lookup: {
-          from: "images",
-          localField: "_id",
-          foreignField: "goatId",
-          as: "goatImages",
-        },
-      },
-
-      // 6. FORMAT OUTPUT: Shape the data for the frontend
-      {
-        $addFields: {
-          // Get the first image as the main photo
-          mainPhoto: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
-          // Extract specific public fields from the owner array
-          farmName: { $arrayElemAt: ["$ownerData.farmName", 0] },
-          ownerAddress: { $arrayElemAt: ["$ownerData.address", 0] },
-          // Keep the original owner ID if needed
-          ownerId: { $toString: "$ownerObjectId" },
-        },
-      },
-
-      // 7. CLEANUP: Remove massive internal arrays to keep the response light
-      {
-        $project: {
-          goatImages: 0,
-          ownerData: 0,
-          ownerObjectId: 0,
-          __v: 0,
-        },
-      },
-    ]);
-
-    res.status(200).json(goats);
-  } catch (err) {
-    console.error("❌ Marketplace Error:", err);
-    res.status(500).json({ error: "Failed to fetch marketplace listings" });
-  }
-});
-
-app.get("/goats", async (req, res) => {
-  try {
-    const goats = await Goat.aggregate([
-      // 1. FILTER: Only show goats that are marked for sale
-      // (Remove this block if you want to see ALL goats regardless of status)
-      { $match: { isForSale: true } },
-
-      // 2. SORT: Newest listed first
-      { $sort: { listedAt: -1 } },
-
-      // 3. LOOKUP OWNER (USER)
-      // matching "owner" in Goat to "_id" in Users
-      {
-        $lookup: {
-          from: "users",
-          localField: "owner",
-          foreignField: "_id",
-          as: "ownerData",
-        },
-      },
-
-      // 4. LOOKUP IMAGES
-      // This is the KEY FIX. It grabs images from the separate "images" collection
-      {
-        $lookup: {
-          from: "images", // Must match your MongoDB collection name for images
-          localField: "_id",
-          foreignField: "goatId",
-          as: "goatImages",
-        },
-      },
-
-      // 5. FORMAT OUTPUT
-      {
-        $addFields: {
-          // Take the first image found and make it the 'mainPhoto'
-          // ensure your Image collection has a field named 'imageUrl' or change this string
-          mainPhoto: { $arrayElemAt: ["$goatImages.imageUrl", 0] },
+);
+
+// G. DELETE (ARCHIVE) GOAT
+// Body: { reason: "sold" | "died" | "culled" | "transferred", date }
+// The goat leaves the herd list and marketplace but its history is kept.
+app.delete(
+  "/delete-goat/:id",
+  requireAuth,
+  requireGoatAccess("manage"),
+  validate({ body: goatSchemas.archiveGoat }),
+  async (req, res, next) => {
+    try {
+      const { reason, date } = req.body;
+
+      if (req.goat.archivedAt) {
+        throw new ApiError(409, "Goat is already archived");
+      }
 
-          // Extract owner details
-          farmName: { $arrayElemAt: ["$ownerData.farmName", 0] },
-          ownerAddress: { $arrayElemAt: ["$ownerData.address", 0] },
-        },
-      },
+      const wasListed = req.goat.isForSale && !req.goat.isSold;
+      const before = req.goat.toObject();
+      const goat = await archiveGoat(req.goat, {
+        reason,
+        date,
+        user: req.user,
+      });
+      await auditGoat("archive", req.user, before, goat);
 
-      // 6. CLEANUP (Remove heavy arrays to make response faster)
-      {
-        $project: {
-          goatImages: 0,
-          ownerData: 0,
-          __v: 0,
-        },
-      },
-    ]);
+      // Sold off the app: watchers still need to know it's gone
+      if (wasListed && reason === "sold") {
+        await notifyListingChanges(
+          { isSold: false },
+          { ...goat.toObject(), isSold: true }
+        );
+      }
 
-    res.status(200).json(goats);
-  } catch (error) {
-    console.error("Error fetching all goats:", error);
-    res.status(500).json({ message: "Server error fetching goats" });
+      res.json({ message: "Goat archived successfully", goat });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+// G2. RESTORE AN ARCHIVED GOAT
+app.post(
+  "/goats/:id/restore",
+  requireAuth,
+  requireGoatAccess("manage"),
+  async (req, res, next) => {
+    try {
+      if (!req.goat.archivedAt) {
+        throw new ApiError(409, "Goat is not archived");
+      }
 
-// H. GET SPECIFIC FARM (For Store Page)
-app.get("/api/farms/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+      const before = req.goat.toObject();
+      const goat = await restoreGoat(req.goat);
+      await auditGoat("restore", req.user, before, goat);
 
-    // Validate ID format to prevent server crash on bad URLs
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(404).json({ error: "Invalid Farm ID" });
+      res.json(goat);
+    } catch (err) {
+      next(err);
     }
+  }
+);
+
+// G3. PURGE (Permanent. Only for goats that were archived first.)
+app.delete(
+  "/goats/:id/purge",
+  requireAuth,
+  requireGoatAccess("manage"),
+  async (req, res, next) => {
+    try {
+      if (!req.goat.archivedAt) {
+        throw new ApiError(409, "Archive the goat before purging it");
+      }
 
-    // Find user by ID but EXCLUDE the password
-    const farm = await User.findById(id).select("-password").lean();
+      await purgeGoat(req.goat);
+      // The trail outlives the goat, ending with what it looked like
+      await auditGoat("purge", req.user, req.goat, null);
 
-    if (!farm) {
-      return res.status(404).json({ error: "Farm not found" });
+      res.json({ message: "Goat permanently deleted" });
+    } catch (err) {
+      next(err);
     }
-
-    res.json(farm);
-  } catch (err) {
-    console.error("❌ Get Farm Error:", err);
-    res.status(500).json({ error: "Server error fetching farm" });
   }
-});
+);
+
+// --- ERRORS --- //
+// Every error ends up here and goes out as { error, code, fields }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`🚀 Server started on port ${PORT}`);
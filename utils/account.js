@@ -0,0 +1,218 @@
+const User = require("../models/User");
+const Farm = require("../models/Farm");
+const FarmInvitation = require("../models/FarmInvitation");
+const Goat = require("../models/Goat");
+const Offer = require("../models/Offer");
+const Watch = require("../models/Watch");
+const Notification = require("../models/Notification");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const BreedingEvent = require("../models/BreedingEvent");
+const ScanEvent = require("../models/ScanEvent");
+const SyncOperation = require("../models/SyncOperation");
+const Tombstone = require("../models/Tombstone");
+const RefreshToken = require("../models/RefreshToken");
+const AccountToken = require("../models/AccountToken");
+const VetAccess = require("../models/VetAccess");
+const GoatAudit = require("../models/GoatAudit");
+const Task = require("../models/Task");
+const CalendarFeed = require("../models/CalendarFeed");
+const { purgeGoat } = require("./goats");
+const { deleteLogoFiles } = require("./images");
+const { issueAccountToken } = require("./tokens");
+const { sendMail, appLink } = require("./mail");
+const { displayName } = require("./roles");
+
+// --- EMAILS --- //
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user, "verify_email");
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Welcome to Smart G-ID, ${displayName(user)}!\n\n` +
+      `Confirm your email address by opening this link:\n` +
+      `${appLink("/verify-email", token)}\n\n` +
+      `The link is valid for 48 hours.`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user, "reset_password");
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Someone asked to reset the password for ${user.email}.\n\n` +
+      `Choose a new password here:\n` +
+      `${appLink("/reset-password", token)}\n\n` +
+      `The link is valid for 1 hour. If this wasn't you, ignore this email.`,
+  });
+};
+
+// Goes to the NEW address; the change only happens once it's confirmed
+const sendEmailChangeEmail = async (user, newEmail) => {
+  const token = await issueAccountToken(user, "change_email", { newEmail });
+  await sendMail({
+    to: newEmail,
+    subject: "Confirm your new email address",
+    text:
+      `Confirm that ${newEmail} is the new login for ${displayName(user)}:\n` +
+      `${appLink("/verify-email", token)}\n\n` +
+      `The link is valid for 24 hours.`,
+  });
+  await sendMail({
+    to: user.email,
+    subject: "Your login email is being changed",
+    text:
+      `A change of your login email to ${newEmail} was requested.\n` +
+      `If this wasn't you, change your password now.`,
+  });
+};
+
+// The invitee may not have an account yet; the link works either way
+const sendFarmInvitationEmail = async (invitation, token, farm, inviter) => {
+  await sendMail({
+    to: invitation.email,
+    subject: `Join ${farm.farmName} on Smart G-ID`,
+    text:
+      `${displayName(inviter)} invited you to join ${farm.farmName} ` +
+      `as a ${invitation.role}.\n\n` +
+      `Accept the invitation here (sign up first if you have no account):\n` +
+      `${appLink("/join-farm", token)}\n\n` +
+      `The link is valid for 7 days.`,
+  });
+};
+
+// --- DELETION --- //
+
+// Removes a farm and everything that only makes sense with it:
+//   - goats it still owns, with their images, measurements and health log
+//     (goats it sold stay with their buyers)
+//   - open offers on its goats; offers buying for it will hand the goat to
+//     the buyer's own farm instead
+//   - its conversations, followers, breeding log, vet access, invitations
+// Certificates it issued are kept so printed codes still verify.
+const deleteFarm = async (farm, deletedBy) => {
+  const farmId = farm._id;
+
+  // 1. GOATS: One at a time so every file and tombstone is handled
+  const goats = Goat.find({ owner: farmId }).cursor();
+  for await (const goat of goats) {
+    await purgeGoat(goat);
+  }
+
+  // 2. OFFERS
+  await Offer.updateMany(
+    { seller: farmId, status: { $in: ["pending", "countered", "accepted"] } },
+    {
+      $set: { status: "cancelled", updatedAt: new Date() },
+      $push: {
+        history: {
+          by: deletedBy._id,
+          action: "account-deleted",
+          at: new Date(),
+        },
+      },
+    }
+  );
+  await Offer.updateMany({ buyerFarm: farmId }, { $unset: { buyerFarm: 1 } });
+
+  // 3. EVERYTHING ELSE
+  const conversationIds = await Conversation.find({ seller: farmId }).distinct(
+    "_id"
+  );
+
+  await Promise.all([
+    Message.deleteMany({ conversation: { $in: conversationIds } }),
+    Conversation.deleteMany({ _id: { $in: conversationIds } }),
+    Watch.deleteMany({ farm: farmId }),
+    BreedingEvent.deleteMany({ owner: farmId }),
+    Tombstone.deleteMany({ owner: farmId }),
+    VetAccess.deleteMany({ farm: farmId }),
+    FarmInvitation.deleteMany({ farm: farmId }),
+    Task.deleteMany({ farm: farmId }),
+    CalendarFeed.deleteMany({ farm: farmId }),
+  ]);
+
+  // Audit entries of goats sold on stay with the buyer's farm
+  await GoatAudit.updateMany({ farms: farmId }, { $pull: { farms: farmId } });
+  await GoatAudit.deleteMany({ farms: { $size: 0 } });
+
+  deleteLogoFiles(farm);
+  await Farm.deleteOne({ _id: farmId });
+};
+
+// Removes the account and everything that only makes sense with it:
+//   - the farms it owns (see deleteFarm); it leaves the others
+//   - its open offers; goats it had reserved go back on the market
+//   - watchlist, follows, notifications, conversations, vet access
+//   - logins, mailed tokens, sync state
+const deleteAccount = async (user) => {
+  const userId = user._id;
+
+  // 1. FARMS
+  const owned = await Farm.find({
+    members: { $elemMatch: { user: userId, role: "owner" } },
+  });
+  for (const farm of owned) {
+    await deleteFarm(farm, user);
+  }
+  await Farm.updateMany(
+    { "members.user": userId },
+    { $pull: { members: { user: userId } } }
+  );
+
+  // 2. OFFERS: Release goats this buyer had reserved, then close everything
+  const reserved = await Offer.find({ buyer: userId, status: "accepted" })
+    .select("goat")
+    .lean();
+  await Goat.updateMany(
+    { _id: { $in: reserved.map((o) => o.goat) }, isReserved: true },
+    { $set: { isReserved: false } }
+  );
+  await Offer.updateMany(
+    {
+      buyer: userId,
+      status: { $in: ["pending", "countered", "accepted"] },
+    },
+    {
+      $set: { status: "cancelled", updatedAt: new Date() },
+      $push: {
+        history: { by: userId, action: "account-deleted", at: new Date() },
+      },
+    }
+  );
+
+  // 3. SOCIAL: Both sides of every conversation go
+  const conversationIds = await Conversation.find({ buyer: userId }).distinct(
+    "_id"
+  );
+
+  await Promise.all([
+    Message.deleteMany({ conversation: { $in: conversationIds } }),
+    Conversation.deleteMany({ _id: { $in: conversationIds } }),
+    Watch.deleteMany({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    ScanEvent.deleteMany({ scannedBy: userId }),
+    SyncOperation.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    AccountToken.deleteMany({ user: userId }),
+    VetAccess.deleteMany({ vet: userId }),
+    CalendarFeed.deleteMany({ user: userId }),
+  ]);
+
+  // 4. ACCOUNT
+  await User.deleteOne({ _id: userId });
+
+  console.log(`🗑️ Account deleted: ${userId}`);
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendEmailChangeEmail,
+  sendFarmInvitationEmail,
+  deleteAccount,
+};
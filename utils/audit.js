@@ -0,0 +1,81 @@
+const GoatAudit = require("../models/GoatAudit");
+const { publishGoatChanges } = require("./realtime");
+
+// Bookkeeping and history that have their own records
+const IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "updatedAt",
+  "tagHistory",
+  "ownershipHistory",
+];
+
+const plain = (goat) =>
+  goat ? (goat.toObject ? goat.toObject({ depopulate: true }) : goat) : {};
+
+// Dates, ObjectIds and subdocuments compare (and are stored) as JSON
+const comparable = (value) =>
+  value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+// { field: { from, to } } for every field that differs. Either side may be
+// missing (create, purge) or hold only the fields the change touched.
+const diffGoat = (before, after) => {
+  const from = plain(before);
+  const to = plain(after);
+
+  const changes = {};
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const a = comparable(from[field]);
+    const b = comparable(to[field]);
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes[field] = { from: a, to: b };
+    }
+  }
+  return changes;
+};
+
+const entryFor = ({ action, user, before, after, source, data }) => {
+  const changes = diffGoat(before, after);
+  // An update that didn't change anything isn't worth a line
+  if (action === "update" && Object.keys(changes).length === 0) return null;
+
+  const goat = plain(after)._id || plain(before)._id;
+  const owners = [plain(before).owner, plain(after).owner].filter(Boolean);
+
+  return {
+    goat,
+    farms: [...new Map(owners.map((id) => [String(id), id])).values()],
+    user: user && user._id,
+    action,
+    source,
+    changes: Object.keys(changes).length > 0 ? changes : undefined,
+    data,
+  };
+};
+
+// Records goat changes: [{ action, user, before, after, source, data }].
+// `before`/`after` are the goat around the change (documents or plain
+// objects); only the fields that differ are kept.
+// The same changes go out as live events (utils/realtime.js).
+// Never throws: a failed audit write must not fail the change itself.
+const auditGoats = async (changes) => {
+  try {
+    const entries = changes.map(entryFor).filter(Boolean);
+    if (entries.length > 0) await GoatAudit.insertMany(entries);
+    publishGoatChanges(changes, entries);
+  } catch (err) {
+    console.error("❌ Audit log write failed:", err);
+  }
+};
+
+const auditGoat = (
+  action,
+  user,
+  before,
+  after,
+  { source = "app", data } = {}
+) => auditGoats([{ action, user, before, after, source, data }]);
+
+module.exports = { auditGoat, auditGoats, diffGoat };
@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+
+const { UPLOAD_DIR } = require("./images");
+
+// No 0/O or 1/I/L, so codes survive being read out over the phone
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const CODE_LENGTH = 12;
+
+// "7KQ2M9XD4TRA" -> "7KQ2-M9XD-4TRA"
+const newVerificationCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(
+    bytes,
+    (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]
+  );
+  return chars.join("").match(/.{4}/g).join("-");
+};
+
+// Accepts what people type: lower case, spaces, missing dashes
+const normalizeCode = (input) => {
+  const chars = String(input)
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "");
+  return chars.length === CODE_LENGTH ? chars.match(/.{4}/g).join("-") : null;
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "-";
+
+// The goat's primary photo as a JPEG pdfkit can embed, or null.
+// Originals may be WebP, which pdfkit can't read, so always go through sharp.
+const photoForPdf = async (image) => {
+  if (!image) return null;
+  const file = path.basename(image.mediumUrl || image.imageUrl || "");
+  const filePath = path.join(UPLOAD_DIR, file);
+  if (!file || !fs.existsSync(filePath)) return null;
+
+  try {
+    return await sharp(filePath)
+      .rotate()
+      .resize(400, 400, { fit: "inside", withoutEnlargement: true })
+      .jpeg()
+      .toBuffer();
+  } catch (err) {
+    console.error(`   ❌ Could not read photo ${file}:`, err.message);
+    return null;
+  }
+};
+
+// Shared header and footer so both documents look like they belong together
+const drawHeader = (doc, title, issuer) => {
+  doc.fontSize(20).font("Helvetica-Bold").text(title, { align: "center" });
+  doc.moveDown(0.3);
+  doc
+    .fontSize(11)
+    .font("Helvetica")
+    .text(issuer.farmName, { align: "center" })
+    .text(issuer.address || "", { align: "center" });
+  doc.moveDown();
+  doc
+    .moveTo(doc.page.margins.left, doc.y)
+    .lineTo(doc.page.width - doc.page.margins.right, doc.y)
+    .stroke();
+  doc.moveDown();
+};
+
+const drawVerification = (doc, certificate, verifyUrl) => {
+  doc.moveDown(2);
+  doc
+    .fontSize(9)
+    .font("Helvetica")
+    .text(`Issued ${formatDate(certificate.issuedAt)}`)
+    .text(`Verification code: ${certificate.code}`)
+    .text(`Check this document at ${verifyUrl}`);
+};
+
+const drawField = (doc, label, value) => {
+  doc
+    .font("Helvetica-Bold")
+    .text(`${label}: `, { continued: true })
+    .font("Helvetica")
+    .text(
+      value === undefined || value === null || value === ""
+        ? "-"
+        : String(value)
+    );
+};
+
+// Single goat certificate / sale document. Returns the pdfkit document,
+// already ended; pipe it to the response.
+const renderGoatCertificate = (certificate, photo, verifyUrl) => {
+  const { goat, issuer, sale } = certificate.snapshot;
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  drawHeader(
+    doc,
+    sale ? "Certificate of Sale" : "Goat Identity Certificate",
+    issuer
+  );
+
+  const top = doc.y;
+  if (photo) {
+    doc.image(photo, doc.page.width - 50 - 180, top, { fit: [180, 180] });
+  }
+
+  doc.fontSize(12);
+  drawField(doc, "Name", goat.name);
+  drawField(doc, "RFID tag", goat.rfidTag);
+  drawField(doc, "Breed", goat.breed);
+  drawField(doc, "Sex", goat.gender);
+  drawField(doc, "Birth date", formatDate(goat.birthDate));
+  drawField(
+    doc,
+    "Latest weight",
+    goat.weight != null ? `${goat.weight} kg` : null
+  );
+  drawField(doc, "Weighed on", formatDate(goat.weighedAt));
+  drawField(doc, "Health status", (goat.healthStatus || []).join(", "));
+  if (goat.withdrawalUntil) {
+    drawField(doc, "Drug withdrawal until", formatDate(goat.withdrawalUntil));
+  }
+  if (goat.sire) drawField(doc, "Sire", goat.sire);
+  if (goat.dam) drawField(doc, "Dam", goat.dam);
+
+  if (sale) {
+    doc.moveDown();
+    doc.font("Helvetica-Bold").fontSize(14).text("Sale");
+    doc.fontSize(12);
+    drawField(doc, "Sold to", sale.buyer);
+    drawField(doc, "Sale date", formatDate(sale.soldAt));
+    drawField(doc, "Price", sale.price != null ? `PHP ${sale.price}` : null);
+  }
+
+  // Keep the footer below the photo even when the field list is short
+  if (photo) doc.y = Math.max(doc.y, top + 190);
+  drawVerification(doc, certificate, verifyUrl);
+
+  doc.end();
+  return doc;
+};
+
+const INVENTORY_COLUMNS = [
+  ["RFID tag", 95, (g) => g.rfidTag],
+  ["Name", 90, (g) => g.name],
+  ["Breed", 80, (g) => g.breed],
+  ["Sex", 45, (g) => g.gender],
+  ["Born", 65, (g) => formatDate(g.birthDate)],
+  ["Weight", 45, (g) => (g.weight != null ? `${g.weight} kg` : "-")],
+  ["Health", 75, (g) => (g.healthStatus || []).join(", ")],
+];
+
+// Whole-herd inventory, one table row per goat
+const renderInventory = (certificate, verifyUrl) => {
+  const { goats, issuer } = certificate.snapshot;
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 20;
+
+  drawHeader(doc, "Herd Inventory", issuer);
+  doc
+    .fontSize(11)
+    .text(`${goats.length} goats as of ${formatDate(certificate.issuedAt)}`);
+  doc.moveDown();
+
+  const drawRow = (cells, bold) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    doc.fontSize(9).font(bold ? "Helvetica-Bold" : "Helvetica");
+
+    let height = 0;
+    INVENTORY_COLUMNS.forEach(([, width], i) => {
+      const text =
+        cells[i] === undefined || cells[i] === null ? "-" : String(cells[i]);
+      doc.text(text, x, y, { width: width - 5 });
+      height = Math.max(height, doc.y - y);
+      x += width;
+    });
+
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+  };
+
+  const drawTableHeader = () =>
+    drawRow(
+      INVENTORY_COLUMNS.map(([label]) => label),
+      true
+    );
+
+  drawTableHeader();
+  for (const goat of goats) {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      drawTableHeader();
+    }
+    drawRow(INVENTORY_COLUMNS.map(([, , get]) => get(goat)));
+  }
+
+  drawVerification(doc, certificate, verifyUrl);
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  newVerificationCode,
+  normalizeCode,
+  photoForPdf,
+  renderGoatCertificate,
+  renderInventory,
+};
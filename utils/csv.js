@@ -0,0 +1,92 @@
+// Minimal RFC 4180 CSV reading and writing, tuned so Excel and Google
+// Sheets open our exports cleanly and save files we can read back.
+
+// Excel only detects UTF-8 (accented names, "ñ") when the file starts with a BOM
+const BOM = "﻿";
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return formatCell(value.join("; "));
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One line, CRLF-terminated like Excel writes them
+const toCsvRow = (values) => values.map(formatCell).join(",") + "\r\n";
+
+// Returns an array of rows, each an array of cell strings.
+// Handles quoted cells with commas, quotes and line breaks inside them.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Spreadsheets often leave blank lines at the end
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+};
+
+// Undoes the quote formatCell adds, so exports re-import unchanged
+const unescapeCell = (cell) => {
+  const text = cell.trim();
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+};
+
+// Header row + data rows -> objects keyed by the (trimmed) header names
+const csvToObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((h) => h.trim());
+
+  return rows.map((cells) =>
+    Object.fromEntries(
+      keys.map((key, i) => [key, unescapeCell(cells[i] || "")])
+    )
+  );
+};
+
+module.exports = { BOM, toCsvRow, parseCsv, csvToObjects };
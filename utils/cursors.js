@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const { ApiError } = require("./errors");
+
+// Cursors for newest-first lists sorted by a date and _id (audit entries,
+// notifications, messages). A cursor is base64url JSON of the last item's
+// date and _id: batch writes give many items the same millisecond, so the
+// date alone would skip some.
+
+const encodeCursor = (at, id) =>
+  Buffer.from(JSON.stringify({ at, id: String(id) })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { at, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const date = new Date(at);
+    if (Number.isNaN(date.getTime())) throw new Error("Invalid date");
+    return { at: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw new ApiError(400, "Validation failed", { cursor: "Invalid cursor" });
+  }
+};
+
+// Filter for the items after the cursor, in { [field]: -1, _id: -1 } order
+const afterCursor = (field, cursor) => {
+  if (!cursor) return {};
+  const { at, id } = decodeCursor(cursor);
+  return { $or: [{ [field]: { $lt: at } }, { [field]: at, _id: { $lt: id } }] };
+};
+
+module.exports = { encodeCursor, afterCursor };
@@ -0,0 +1,35 @@
+// Machine-readable code for each status we send
+const CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "TOO_MANY_REQUESTS",
+  500: "SERVER_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+// Thrown from routes and middleware, turned into a response by errorHandler.
+// `fields` maps a field name to what's wrong with it.
+class ApiError extends Error {
+  constructor(status, message, fields, code) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.fields = fields;
+    this.code = code || (fields ? "VALIDATION_ERROR" : CODES[status]);
+  }
+}
+
+// Every error response has this shape:
+//   { error: "Goat not found", code: "NOT_FOUND", fields: { ... } }
+// `error` stays a plain string so older app versions can still show it.
+const errorBody = (err) => {
+  const body = { error: err.message, code: err.code || CODES[err.status] };
+  if (err.fields) body.fields = err.fields;
+  return body;
+};
+
+module.exports = { CODES, ApiError, errorBody };
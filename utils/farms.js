@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+
+const Farm = require("../models/Farm");
+const Goat = require("../models/Goat");
+const User = require("../models/User");
+const { ApiError } = require("./errors");
+const { displayName } = require("./roles");
+
+// What each member role may do on its farm:
+//   herd    - scan, weigh, record health and breeding, add and edit goats
+//   sell    - list goats, set prices, handle offers and buyer messages
+//   manage  - profile, archive/restore, imports/exports, reports, vet access
+//   members - invite, change and remove members
+const PERMISSIONS = {
+  owner: ["herd", "sell", "manage", "members"],
+  manager: ["herd", "sell", "manage"],
+  worker: ["herd"],
+};
+
+// Filter for farms that show up publicly (listed, followable, messageable)
+const activeFarm = { suspendedAt: { $exists: false } };
+
+const membershipOf = (farm, userId) =>
+  farm.members.find((member) => member.user.equals(userId));
+
+const can = (membership, permission) =>
+  Boolean(membership) && PERMISSIONS[membership.role].includes(permission);
+
+const rolesWith = (permission) =>
+  Object.keys(PERMISSIONS).filter((role) =>
+    PERMISSIONS[role].includes(permission)
+  );
+
+// Ids of the farms where the user may do `permission`
+const farmIdsOf = (userId, permission) =>
+  Farm.find({
+    members: {
+      $elemMatch: { user: userId, role: { $in: rolesWith(permission) } },
+    },
+  }).distinct("_id");
+
+const isMember = (farmId, userId) =>
+  Farm.exists({ _id: farmId, "members.user": userId });
+
+// The farm a request acts for when there's no farm in its path: the
+// X-Farm-Id header, else the farm the caller owns, else their only farm.
+// null if they aren't on any farm.
+const findActingFarm = async (user, requestedId) => {
+  if (requestedId) {
+    if (!mongoose.Types.ObjectId.isValid(requestedId)) {
+      throw new ApiError(400, "Invalid X-Farm-Id header");
+    }
+    const farm = await Farm.findOne({
+      _id: requestedId,
+      "members.user": user._id,
+    });
+    if (!farm) throw new ApiError(403, "You are not a member of this farm");
+    return farm;
+  }
+
+  const farms = await Farm.find({ "members.user": user._id });
+  if (farms.length <= 1) return farms[0] || null;
+
+  const owned = farms.find(
+    (farm) => membershipOf(farm, user._id).role === "owner"
+  );
+  if (owned) return owned;
+
+  throw new ApiError(
+    400,
+    "You are on several farms. Send X-Farm-Id to choose one."
+  );
+};
+
+// The farm `user` owns, created if they have none (registration, or a buyer
+// completing their first purchase). A user's own farm shares their id, so
+// ids saved before farms existed (Goat.owner, Offer.seller, ...) still
+// point at it.
+const ensureOwnFarm = async (user, profile = {}) => {
+  const existing = await Farm.findById(user._id);
+  if (existing) return existing;
+
+  try {
+    const farm = await Farm.create({
+      farmName: `${displayName(user)}'s farm`,
+      ...profile,
+      _id: user._id,
+      members: [{ user: user._id, role: "owner" }],
+    });
+
+    // Someone who keeps goats is a farmer now
+    if (user.role === "buyer") {
+      await User.updateOne({ _id: user._id }, { $set: { role: "farmer" } });
+    }
+    return farm;
+  } catch (err) {
+    // Made by a parallel request
+    if (err.code === 11000) return Farm.findById(user._id);
+    throw err;
+  }
+};
+
+// --- MIGRATION --- //
+// Before farms existed every farmer's User was their farm. This copies each
+// one's profile into a Farm with the same id (so goats, offers, follows and
+// conversations need no rewrite) and makes them its owner. Buyers who bought
+// goats get a farm too. Safe to run on every start: users that already
+// have their farm are skipped. The old fields are left on the user
+// documents, unused, in case the move has to be undone.
+const PROFILE_FIELDS = [
+  "address",
+  "description",
+  "phone",
+  "logoUrl",
+  "logoThumbnailUrl",
+  "addressDetails",
+  "geo",
+];
+
+const migrateToFarms = async () => {
+  const goatOwners = await Goat.distinct("owner");
+  const users = User.collection.find({
+    $or: [{ farmName: { $exists: true } }, { _id: { $in: goatOwners } }],
+  });
+
+  let created = 0;
+  for await (const user of users) {
+    if (await Farm.exists({ _id: user._id })) continue;
+
+    const profile = { farmName: user.farmName || displayName(user) };
+    for (const field of PROFILE_FIELDS) {
+      if (user[field] !== undefined) profile[field] = user[field];
+    }
+
+    await Farm.create({
+      ...profile,
+      _id: user._id,
+      members: [{ user: user._id, role: "owner", joinedAt: user.createdAt }],
+      suspendedAt: user.suspendedAt,
+      createdAt: user.createdAt,
+    });
+
+    // The farm name was the only name a farmer had
+    const set = {};
+    if (!user.name && user.farmName) set.name = user.farmName;
+    if (user.role === "buyer") set.role = "farmer";
+    if (Object.keys(set).length > 0) {
+      await User.updateOne({ _id: user._id }, { $set: set });
+    }
+    created += 1;
+  }
+
+  if (created) console.log(`🏡 Moved ${created} farm profiles to farms`);
+};
+
+module.exports = {
+  PERMISSIONS,
+  activeFarm,
+  membershipOf,
+  can,
+  farmIdsOf,
+  isMember,
+  findActingFarm,
+  ensureOwnFarm,
+  migrateToFarms,
+};
@@ -0,0 +1,43 @@
+const Farm = require("../models/Farm");
+const { ApiError } = require("./errors");
+const { activeFarm } = require("./farms");
+
+// The validated lat/lng/radiusKm from the query, or null when no location
+// was given. Only one of lat/lng is a client mistake, not "no filter".
+const nearFrom = ({ lat, lng, radiusKm }) => {
+  if (lat === undefined && lng === undefined) return null;
+  if (lat === undefined || lng === undefined) {
+    throw new ApiError(400, "Validation failed", {
+      [lat === undefined ? "lat" : "lng"]: "lat and lng must be sent together",
+    });
+  }
+  return { lat, lng, radiusKm };
+};
+
+// $geoNear on farms: only listed farms with a pin inside the radius, nearest
+// first, each with distanceKm. Must be the first stage of a Farm pipeline.
+const geoNearStage = ({ lat, lng, radiusKm }) => ({
+  $geoNear: {
+    near: { type: "Point", coordinates: [lng, lat] }, // GeoJSON order
+    key: "geo",
+    distanceField: "distanceKm",
+    distanceMultiplier: 0.001, // Metres -> km
+    maxDistance: radiusKm * 1000,
+    spherical: true,
+    query: activeFarm,
+  },
+});
+
+// Farm id -> distance in km, for farms inside the radius
+const nearbyFarmDistances = async (near) => {
+  const farms = await Farm.aggregate([
+    geoNearStage(near),
+    { $project: { distanceKm: 1 } },
+  ]);
+  return new Map(farms.map((f) => [String(f._id), f.distanceKm]));
+};
+
+// Distances are shown to buyers, so one decimal is plenty
+const roundKm = (field) => ({ $round: [field, 1] });
+
+module.exports = { nearFrom, geoNearStage, nearbyFarmDistances, roundKm };
@@ -0,0 +1,208 @@
+const fs = require("fs");
+
+const Goat = require("../models/Goat");
+const Farm = require("../models/Farm");
+const Image = require("../models/Image");
+const Measurement = require("../models/Measurement");
+const HealthEvent = require("../models/HealthEvent");
+const Offer = require("../models/Offer");
+const Watch = require("../models/Watch");
+const Task = require("../models/Task");
+const ScanEvent = require("../models/ScanEvent");
+const BreedingEvent = require("../models/BreedingEvent");
+const { recordDeletion } = require("./sync");
+const { can } = require("./farms");
+const { notifyListingChanges } = require("./notifications");
+const { ApiError } = require("./errors");
+const {
+  UPLOAD_DIR,
+  deleteImageFiles,
+  uploadedFilesOf,
+  logoFilesOf,
+} = require("./images");
+
+const ARCHIVE_REASONS = Goat.schema.path("archiveReason").enumValues;
+
+// Leave freshly written files alone in case their Image record is mid-save
+const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000;
+
+// Filter for goats that haven't been archived
+const notArchived = { archivedAt: { $exists: false } };
+
+// Filter for goats a buyer can make an offer on right now
+const activeListing = {
+  isForSale: true,
+  isReserved: { $ne: true },
+  isSold: { $ne: true },
+  "takedown.at": { $exists: false },
+  ...notArchived,
+};
+
+// Goat fields that list it or set its price. Writing them takes the "sell"
+// farm permission, which workers don't have.
+const LISTING_FIELDS = ["price", "isForSale", "listedAt"];
+
+// A farm member's edit to a goat (/update-goat and sync). Changing
+// LISTING_FIELDS takes the "sell" permission, a goat a moderator took down
+// can't be relisted, and a relisted goat is no longer sold. Watchers and
+// farm followers hear about new listings and price drops. Returns the
+// updated goat.
+const updateGoat = async (goat, update, membership) => {
+  const listing = LISTING_FIELDS.some((f) => update[f] !== undefined);
+  if (listing && !can(membership, "sell")) {
+    throw new ApiError(
+      403,
+      `A farm ${membership.role} can't list goats or change prices`,
+      undefined,
+      "FARM_ROLE"
+    );
+  }
+
+  if (update.isForSale === true) {
+    if (goat.takedown && goat.takedown.at) {
+      throw new ApiError(
+        409,
+        "This listing was taken down by a moderator and can't be relisted"
+      );
+    }
+    // A bought goat that gets relisted is for sale again, not "sold"
+    update = { ...update, isSold: false };
+  }
+
+  const updated = await Goat.findByIdAndUpdate(goat._id, update, {
+    new: true,
+    runValidators: true,
+  });
+  if (!updated) throw new ApiError(404, "Goat not found");
+
+  await notifyListingChanges(goat, updated);
+  return updated;
+};
+
+// Takes a goat out of the herd and the marketplace, keeping its records.
+// Open offers on it are declined and an accepted one is cancelled, so it
+// can't be sold afterwards.
+const archiveGoat = async (goat, { reason, date, user }) => {
+  goat.archivedAt = date ? new Date(date) : new Date();
+  goat.archiveReason = reason;
+  goat.archivedBy = user && user._id;
+  goat.isForSale = false;
+  goat.isReserved = false;
+  await goat.save();
+
+  const closeOffers = (statuses, status, action) =>
+    Offer.updateMany(
+      { goat: goat._id, status: { $in: statuses } },
+      {
+        $set: { status, updatedAt: new Date() },
+        $push: {
+          history: { by: user && user._id, action, at: new Date() },
+        },
+      }
+    );
+  await closeOffers(["pending", "countered"], "declined", "auto-decline");
+  await closeOffers(["accepted"], "cancelled", "auto-cancel");
+
+  return goat;
+};
+
+const restoreGoat = async (goat) => {
+  goat.archivedAt = undefined;
+  goat.archiveReason = undefined;
+  goat.archivedBy = undefined;
+  await goat.save();
+  return goat;
+};
+
+// Permanently removes a goat, its images (records and files), measurements
+// and health log, leaving tombstones for synced devices. Its offers,
+// watches, tasks, scans and breedings (as the doe) go too; breedings where
+// it was the buck or a kid just drop it.
+const purgeGoat = async (goat) => {
+  const [images, measurementIds, healthEventIds] = await Promise.all([
+    Image.find({ goatId: goat._id }),
+    Measurement.find({ goatId: goat._id }).distinct("_id"),
+    HealthEvent.find({ goatId: goat._id }).distinct("_id"),
+  ]);
+
+  images.forEach(deleteImageFiles);
+
+  await Promise.all([
+    Image.deleteMany({ goatId: goat._id }),
+    Measurement.deleteMany({ goatId: goat._id }),
+    HealthEvent.deleteMany({ goatId: goat._id }),
+    Offer.deleteMany({ goat: goat._id }),
+    Watch.deleteMany({ goat: goat._id }),
+    Task.deleteMany({ goat: goat._id }),
+    ScanEvent.deleteMany({ goatId: goat._id }),
+    BreedingEvent.deleteMany({ doe: goat._id }),
+    BreedingEvent.updateMany({ buck: goat._id }, { $unset: { buck: 1 } }),
+    BreedingEvent.updateMany(
+      { "kidding.kids": goat._id },
+      { $pull: { "kidding.kids": goat._id } }
+    ),
+  ]);
+  await Goat.deleteOne({ _id: goat._id });
+
+  await recordDeletion("goat", goat._id, goat.owner);
+  await recordDeletion(
+    "image",
+    images.map((img) => img._id),
+    goat.owner
+  );
+  await recordDeletion("measurement", measurementIds, goat.owner);
+  await recordDeletion("healthEvent", healthEventIds, goat.owner);
+};
+
+// Deletes files in uploads/ that no Image record or farm logo points at.
+// Pass { dryRun: true } to only list them.
+const sweepOrphanUploads = async ({ dryRun = false } = {}) => {
+  const referenced = new Set();
+  const cursor = Image.find()
+    .select("filename thumbnailUrl mediumUrl")
+    .lean()
+    .cursor();
+  for await (const image of cursor) {
+    uploadedFilesOf(image).forEach((file) => referenced.add(file));
+  }
+
+  const logos = await Farm.find({ logoUrl: { $exists: true } })
+    .select("logoUrl logoThumbnailUrl")
+    .lean();
+  for (const farm of logos) {
+    logoFilesOf(farm).forEach((file) => referenced.add(file));
+  }
+
+  const orphans = [];
+  for (const file of fs.readdirSync(UPLOAD_DIR)) {
+    if (referenced.has(file)) continue;
+
+    const filePath = `${UPLOAD_DIR}/${file}`;
+    const stat = fs.statSync(filePath);
+    if (!stat.isFile() || Date.now() - stat.mtimeMs < ORPHAN_MIN_AGE_MS) {
+      continue;
+    }
+
+    orphans.push(file);
+    if (!dryRun) fs.unlinkSync(filePath);
+  }
+
+  if (orphans.length > 0) {
+    console.log(
+      `🧹 ${dryRun ? "Found" : "Removed"} ${orphans.length} orphaned upload(s)`
+    );
+  }
+  return orphans;
+};
+
+module.exports = {
+  ARCHIVE_REASONS,
+  notArchived,
+  activeListing,
+  LISTING_FIELDS,
+  updateGoat,
+  archiveGoat,
+  restoreGoat,
+  purgeGoat,
+  sweepOrphanUploads,
+};
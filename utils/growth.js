@@ -0,0 +1,88 @@
+const Goat = require("../models/Goat");
+const Measurement = require("../models/Measurement");
+const { publishMeasurement } = require("./realtime");
+
+const DAY_MS = 86400000;
+
+// Expected average daily gain (kg/day) for growing goats, by breed.
+// Rough figures for smallholder conditions; tweak as the farms report back.
+const EXPECTED_ADG = {
+  boer: 0.15,
+  "kalahari red": 0.14,
+  "anglo-nubian": 0.1,
+  saanen: 0.1,
+  alpine: 0.09,
+  toggenburg: 0.09,
+  lamancha: 0.08,
+  native: 0.05,
+};
+const DEFAULT_EXPECTED_ADG = 0.08;
+
+const expectedAdgFor = (breed) =>
+  EXPECTED_ADG[
+    String(breed || "")
+      .trim()
+      .toLowerCase()
+  ] || DEFAULT_EXPECTED_ADG;
+
+// ADG between the first and last weighed readings (sorted oldest first).
+// Returns null if there aren't two readings at least a day apart.
+const averageDailyGain = (first, last) => {
+  if (!first || !last) return null;
+
+  const days = (last.measuredAt - first.measuredAt) / DAY_MS;
+  if (days < 1) return null;
+
+  return {
+    startWeight: first.weight,
+    endWeight: last.weight,
+    days: Math.round(days),
+    adg: Number(((last.weight - first.weight) / days).toFixed(3)),
+  };
+};
+
+// Builds a { measuredAt: { $gte, $lte } } filter from the validated ?from=&to=
+// (see dateRangeQuery in validators/measurements.js)
+const dateRangeFilter = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length ? { measuredAt: range } : {};
+};
+
+// Saves a reading and keeps Goat.weight/height pointing at the newest one.
+// Older readings (e.g. synced late from the field) only go into the history.
+const recordMeasurement = async (goat, data) => {
+  const measurement = await Measurement.create({
+    goatId: goat._id,
+    weight: data.weight,
+    height: data.height,
+    source: data.source,
+    sensorId: data.sensorId,
+    measuredAt: data.measuredAt || Date.now(),
+    recordedBy: data.recordedBy,
+  });
+
+  const newer = await Measurement.exists({
+    goatId: goat._id,
+    measuredAt: { $gt: measurement.measuredAt },
+  });
+
+  if (!newer) {
+    const latest = {};
+    if (measurement.weight != null) latest.weight = measurement.weight;
+    if (measurement.height != null) latest.height = measurement.height;
+    await Goat.updateOne({ _id: goat._id }, { $set: latest });
+  }
+
+  publishMeasurement(goat, measurement);
+  return measurement;
+};
+
+module.exports = {
+  DAY_MS,
+  expectedAdgFor,
+  averageDailyGain,
+  dateRangeFilter,
+  recordMeasurement,
+};
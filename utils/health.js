@@ -0,0 +1,133 @@
+const Goat = require("../models/Goat");
+const HealthEvent = require("../models/HealthEvent");
+const BreedingEvent = require("../models/BreedingEvent");
+
+const DAY_MS = 86400000;
+const KIDDING_ALERT_DAYS = 14;
+
+// Tags the backend manages itself. Anything else in healthStatus
+// (e.g. "Pregnant") was set by the farmer and is left alone.
+const UNDER_WITHDRAWAL = "Under withdrawal";
+const SICK = "Sick";
+const HEALTHY = "Healthy";
+const DERIVED_TAGS = [UNDER_WITHDRAWAL, SICK, HEALTHY];
+
+const buildStatus = (currentTags, { underWithdrawal, sick }) => {
+  const tags = (currentTags || []).filter((t) => !DERIVED_TAGS.includes(t));
+
+  if (sick) tags.push(SICK);
+  if (underWithdrawal) tags.push(UNDER_WITHDRAWAL);
+  if (tags.length === 0) tags.push(HEALTHY);
+
+  return tags;
+};
+
+// Recomputes Goat.healthStatus and Goat.withdrawalUntil from the event log.
+// Call after any health event is created, edited or removed.
+const refreshHealthStatus = async (goatId) => {
+  const now = new Date();
+
+  const [latestWithdrawal] = await HealthEvent.aggregate([
+    { $match: { goatId } },
+    {
+      $project: {
+        until: { $max: ["$meatWithdrawalUntil", "$milkWithdrawalUntil"] },
+      },
+    },
+    { $sort: { until: -1 } },
+    { $limit: 1 },
+  ]);
+  const withdrawalUntil = latestWithdrawal && latestWithdrawal.until;
+
+  const sick = await HealthEvent.exists({
+    goatId,
+    type: "illness",
+    resolvedAt: null, // Never set, or cleared to reopen it
+  });
+
+  const goat = await Goat.findById(goatId).select("healthStatus");
+  if (!goat) return null;
+
+  goat.healthStatus = buildStatus(goat.healthStatus, {
+    underWithdrawal: withdrawalUntil && withdrawalUntil > now,
+    sick: !!sick,
+  });
+  goat.withdrawalUntil = withdrawalUntil || undefined;
+  await goat.save();
+
+  return goat;
+};
+
+// Withdrawal dates pass on their own, so the tag has to be cleared on a timer
+const clearExpiredWithdrawals = async () => {
+  const goats = await Goat.find({
+    healthStatus: UNDER_WITHDRAWAL,
+    withdrawalUntil: { $lte: new Date() },
+  }).select("_id");
+
+  for (const goat of goats) {
+    await refreshHealthStatus(goat._id);
+  }
+
+  if (goats.length > 0) {
+    console.log(`🩺 Cleared withdrawal on ${goats.length} goat(s)`);
+  }
+};
+
+// Things a farmer standing next to the goat should know right now
+const healthAlerts = async (goat) => {
+  const now = new Date();
+  const alerts = [];
+
+  if (goat.withdrawalUntil && goat.withdrawalUntil > now) {
+    alerts.push({
+      type: "withdrawal",
+      message: "Meat/milk withdrawal period still running",
+      until: goat.withdrawalUntil,
+    });
+  }
+
+  const illnesses = await HealthEvent.find({
+    goatId: goat._id,
+    type: "illness",
+    resolvedAt: null,
+  })
+    .sort({ date: -1 })
+    .lean();
+  for (const illness of illnesses) {
+    alerts.push({
+      type: "illness",
+      message: illness.notes || "Unresolved illness",
+      since: illness.date,
+      eventId: illness._id,
+    });
+  }
+
+  const kidding = await BreedingEvent.findOne({
+    doe: goat._id,
+    status: { $in: ["bred", "confirmed"] },
+    expectedKiddingDate: {
+      $lte: new Date(now.getTime() + KIDDING_ALERT_DAYS * DAY_MS),
+    },
+  })
+    .sort({ expectedKiddingDate: 1 })
+    .lean();
+  if (kidding) {
+    alerts.push({
+      type: "kidding_due",
+      message: "Kidding expected soon",
+      expected: kidding.expectedKiddingDate,
+      breedingId: kidding._id,
+    });
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  UNDER_WITHDRAWAL,
+  SICK,
+  healthAlerts,
+  refreshHealthStatus,
+  clearExpiredWithdrawals,
+};
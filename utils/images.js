@@ -0,0 +1,196 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+
+const Image = require("../models/Image");
+const { ApiError } = require("./errors");
+
+const UPLOAD_DIR = path.join(__dirname, "..", "uploads");
+
+// Mime type -> file extension for the originals we accept
+const ALLOWED_MIME_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+const MAX_IMAGE_BYTES = Number(process.env.MAX_IMAGE_BYTES) || 8 * 1024 * 1024;
+const MAX_PHOTOS_PER_GOAT = Number(process.env.MAX_PHOTOS_PER_GOAT) || 10;
+
+// Longest edge in pixels for each generated size
+const VARIANTS = {
+  thumbnail: 200,
+  medium: 800,
+};
+
+const uploadPath = (filename) => path.join(UPLOAD_DIR, filename);
+
+const removeFile = (filename) => {
+  if (!filename) return;
+  try {
+    const filePath = uploadPath(filename);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`   🗑️ Deleted file: ${filename}`);
+    }
+  } catch (fileErr) {
+    console.error(`   ❌ Error deleting file ${filename}:`, fileErr.message);
+  }
+};
+
+// "uploads/abc.jpg" -> "abc.jpg"
+const fileFromUrl = (url) => (url ? path.basename(url) : null);
+
+// Every file in uploads/ that belongs to an Image record
+const uploadedFilesOf = (image) =>
+  [
+    image.filename,
+    fileFromUrl(image.thumbnailUrl),
+    fileFromUrl(image.mediumUrl),
+  ].filter(Boolean);
+
+// Removes the original and every generated size from disk
+const deleteImageFiles = (image) => {
+  uploadedFilesOf(image).forEach(removeFile);
+};
+
+// Throws an ApiError unless the buffer is an accepted, decodable image.
+// Returns { ext, mimeType } for the format sharp finds in the file, which
+// may differ from the mime type the client claimed.
+const checkImage = async (buffer, mimeType, field = "image") => {
+  const unsupported = () =>
+    new ApiError(400, "Unsupported image type", {
+      [field]: `Allowed: ${Object.keys(ALLOWED_MIME_TYPES).join(", ")}`,
+    });
+
+  if (!ALLOWED_MIME_TYPES[mimeType]) throw unsupported();
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new ApiError(413, `Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+  }
+
+  // sharp rejects anything that isn't a decodable image
+  let format;
+  try {
+    ({ format } = await sharp(buffer).metadata());
+  } catch (decodeErr) {
+    throw new ApiError(400, "File is not a valid image");
+  }
+
+  const detected = `image/${format}`;
+  if (!ALLOWED_MIME_TYPES[detected]) throw unsupported();
+
+  return { ext: ALLOWED_MIME_TYPES[detected], mimeType: detected };
+};
+
+const uniqueBase = (ownerId) =>
+  `${Date.now()}_${ownerId}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Validates the buffer really is an image, writes the original plus the
+// thumbnail and medium sizes to uploads/, and creates the Image record.
+// Throws an ApiError if the file isn't an accepted image.
+const saveGoatImage = async (goatId, buffer, claimedType, options = {}) => {
+  const { ext, mimeType } = await checkImage(buffer, claimedType);
+
+  const base = uniqueBase(goatId);
+  const filename = `${base}.${ext}`;
+  fs.writeFileSync(uploadPath(filename), buffer);
+
+  // Store RELATIVE URLs only so the frontend decides the host
+  const urls = {};
+  for (const [variant, size] of Object.entries(VARIANTS)) {
+    const variantFile = `${base}_${variant}.jpg`;
+    await sharp(buffer)
+      .rotate() // Respect the phone's EXIF orientation
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(uploadPath(variantFile));
+    urls[variant] = `uploads/${variantFile}`;
+  }
+
+  return Image.create({
+    goatId,
+    filename,
+    imageUrl: `uploads/${filename}`,
+    thumbnailUrl: urls.thumbnail,
+    mediumUrl: urls.medium,
+    mimeType,
+    size: buffer.length,
+    position: options.position || 0,
+    isPrimary: !!options.isPrimary,
+  });
+};
+
+// Farm logos are cropped square. Only the resized copies are kept.
+const LOGO_SIZES = {
+  logoUrl: 400,
+  logoThumbnailUrl: 120,
+};
+
+// Validates and writes a farm logo. Returns the relative URLs to store on
+// the Farm ({ logoUrl, logoThumbnailUrl }).
+const saveFarmLogo = async (farmId, buffer, mimeType) => {
+  await checkImage(buffer, mimeType, "logo");
+
+  const base = uniqueBase(farmId);
+  const urls = {};
+  for (const [field, size] of Object.entries(LOGO_SIZES)) {
+    const file = `${base}_${
+      field === "logoUrl" ? "logo" : "logo_thumbnail"
+    }.jpg`;
+    await sharp(buffer)
+      .rotate()
+      .resize(size, size, { fit: "cover" })
+      .jpeg({ quality: 85 })
+      .toFile(uploadPath(file));
+    urls[field] = `uploads/${file}`;
+  }
+  return urls;
+};
+
+// Every file in uploads/ that belongs to a farm's logo
+const logoFilesOf = (user) =>
+  Object.keys(LOGO_SIZES)
+    .map((field) => fileFromUrl(user[field]))
+    .filter(Boolean);
+
+const deleteLogoFiles = (user) => {
+  logoFilesOf(user).forEach(removeFile);
+};
+
+// Makes sure a goat with photos has exactly one primary (the first one)
+const ensurePrimary = async (goatId) => {
+  const primary = await Image.exists({ goatId, isPrimary: true });
+  if (primary) return;
+
+  const first = await Image.findOne({ goatId }).sort({ position: 1 });
+  if (first) {
+    first.isPrimary = true;
+    await first.save();
+  }
+};
+
+// Aggregation $lookup that returns a goat's images in gallery order,
+// primary first. Legacy images without isPrimary fall back to position.
+const orderedImagesLookup = (as) => ({
+  $lookup: {
+    from: "images",
+    localField: "_id",
+    foreignField: "goatId",
+    pipeline: [{ $sort: { isPrimary: -1, position: 1, uploadedAt: 1 } }],
+    as,
+  },
+});
+
+module.exports = {
+  UPLOAD_DIR,
+  ALLOWED_MIME_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_PHOTOS_PER_GOAT,
+  uploadedFilesOf,
+  deleteImageFiles,
+  saveGoatImage,
+  saveFarmLogo,
+  logoFilesOf,
+  deleteLogoFiles,
+  ensurePrimary,
+  orderedImagesLookup,
+};
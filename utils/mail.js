@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- CONFIG --- //
+// MAIL_TRANSPORT=console (default) logs each email, outbox writes one JSON
+// file per email to MAIL_OUTBOX_DIR for local testing. Production plugs in a
+// real sender with setMailTransport() (e.g. a nodemailer or API client).
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Smart G-ID <no-reply@smartgid.local>";
+const MAIL_OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+
+// Base for links in emails (the web app or a deep-link handler)
+const APP_URL = process.env.APP_URL || "http://localhost:5000";
+
+const transports = {
+  console: async (mail) => {
+    console.log(
+      `📧 To: ${mail.to}\n   Subject: ${mail.subject}\n   ${mail.text.replace(
+        /\n/g,
+        "\n   "
+      )}`
+    );
+  },
+
+  outbox: async (mail) => {
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    const file = `${Date.now()}_${mail.to.replace(/[^a-z0-9@.]/gi, "_")}.json`;
+    fs.writeFileSync(
+      path.join(MAIL_OUTBOX_DIR, file),
+      JSON.stringify(mail, null, 2)
+    );
+    console.log(`📧 Wrote ${file} to the outbox`);
+  },
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT || "console"];
+if (!transport) {
+  console.warn(
+    `⚠️ Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}", using console`
+  );
+  transport = transports.console;
+}
+
+// Replaces the transport: fn({ from, to, subject, text }) returning a promise
+const setMailTransport = (fn) => {
+  transport = fn;
+};
+
+const sendMail = ({ to, subject, text }) =>
+  transport({ from: MAIL_FROM, to, subject, text, sentAt: new Date() });
+
+// "/verify-email", token -> "http://.../verify-email?token=..."
+const appLink = (pathname, token) =>
+  `${APP_URL}${pathname}?token=${encodeURIComponent(token)}`;
+
+module.exports = { sendMail, setMailTransport, appLink };
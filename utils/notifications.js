@@ -0,0 +1,111 @@
+const Watch = require("../models/Watch");
+const Notification = require("../models/Notification");
+const Farm = require("../models/Farm");
+
+// Creates one notification per watcher, skipping `exclude` (e.g. the buyer
+// who reserved the goat doesn't need to hear about it)
+const fanOut = async (watchFilter, notification, exclude = []) => {
+  const skip = exclude.filter(Boolean).map(String);
+  const watchers = await Watch.find(watchFilter).select("user").lean();
+  const users = watchers
+    .map((w) => w.user)
+    .filter((user) => !skip.includes(String(user)));
+
+  if (users.length === 0) return 0;
+
+  await Notification.insertMany(
+    users.map((user) => ({ user, ...notification }))
+  );
+  return users.length;
+};
+
+// Compares a goat before and after a change and notifies:
+//   goat watchers   -> price dropped (while listed), reserved, sold
+//   farm followers  -> the goat was newly put up for sale
+// `before` may be a plain object with just the fields that changed; a
+// missing field counts as unchanged.
+// Never throws: a failed notification must not fail the sale or edit.
+const notifyListingChanges = async (before, after, { exclude = [] } = {}) => {
+  try {
+    const goat = { goat: after._id, farm: after.owner };
+    const sent = [];
+
+    // The selling and buying farms' own people don't need to hear about it
+    const farms = await Farm.find({
+      _id: { $in: [before.owner, after.owner].filter(Boolean) },
+    })
+      .select("farmName members.user")
+      .lean();
+    const staff = farms.flatMap((farm) => farm.members.map((m) => m.user));
+
+    if (
+      after.isForSale &&
+      !(after.takedown && after.takedown.at) &&
+      before.price > 0 &&
+      after.price < before.price &&
+      !after.isSold
+    ) {
+      sent.push(
+        fanOut(
+          { goat: after._id },
+          {
+            ...goat,
+            type: "price_drop",
+            message: `${after.name} dropped from ${before.price} to ${after.price}`,
+            data: { from: before.price, to: after.price },
+          },
+          [...staff, ...exclude]
+        )
+      );
+    }
+
+    if (before.isReserved === false && after.isReserved) {
+      sent.push(
+        fanOut(
+          { goat: after._id },
+          { ...goat, type: "reserved", message: `${after.name} was reserved` },
+          [...staff, ...exclude]
+        )
+      );
+    }
+
+    if (before.isSold === false && after.isSold) {
+      sent.push(
+        fanOut(
+          { goat: after._id },
+          {
+            ...goat,
+            farm: before.owner || after.owner, // The selling farm
+            type: "sold",
+            message: `${after.name} was sold`,
+          },
+          [...staff, ...exclude]
+        )
+      );
+    }
+
+    if (before.isForSale === false && after.isForSale && !after.isSold) {
+      const farm = farms.find((f) => f._id.equals(after.owner));
+      sent.push(
+        fanOut(
+          { farm: after.owner },
+          {
+            ...goat,
+            type: "new_listing",
+            message: `${farm ? farm.farmName : "A farm you follow"} listed ${
+              after.name
+            }`,
+            data: { price: after.price },
+          },
+          [...staff, ...exclude]
+        )
+      );
+    }
+
+    await Promise.all(sent);
+  } catch (err) {
+    console.error(`❌ Notifications for goat ${after._id} failed:`, err);
+  }
+};
+
+module.exports = { notifyListingChanges };
@@ -0,0 +1,167 @@
+const Goat = require("../models/Goat");
+
+// Deep pedigrees get expensive fast (2^n ancestors), so we cap the depth
+const MAX_GENERATIONS = 6;
+
+const PEDIGREE_FIELDS = "name breed gender birthDate rfidTag owner sire dam";
+
+const parentId = (parent) =>
+  parent && parent.goat ? String(parent.goat) : null;
+
+// Fetches the given goats plus their ancestors, one generation per query.
+// Returns a Map of goatId (string) -> lean goat.
+const loadAncestry = async (rootIds, generations) => {
+  const goats = new Map();
+  let frontier = rootIds.map(String);
+
+  for (let gen = 0; gen <= generations && frontier.length > 0; gen++) {
+    const batch = await Goat.find({ _id: { $in: frontier } })
+      .select(PEDIGREE_FIELDS)
+      .lean();
+
+    frontier = [];
+    for (const goat of batch) {
+      goats.set(String(goat._id), goat);
+
+      for (const id of [parentId(goat.sire), parentId(goat.dam)]) {
+        if (id && !goats.has(id)) frontier.push(id);
+      }
+    }
+  }
+
+  return goats;
+};
+
+// Turns the flat Map into a nested { ..., sire: {...}, dam: {...} } tree
+const buildTree = (goats, parent, depth) => {
+  if (!parent || depth < 0) return null;
+
+  const goat = parent.goat && goats.get(String(parent.goat));
+  if (!goat) {
+    // Outside animal, or a registered goat we can't see any more
+    if (!parent.name && !parent.registration) return null;
+    return {
+      external: true,
+      name: parent.name,
+      registration: parent.registration,
+      breed: parent.breed,
+    };
+  }
+
+  return {
+    _id: goat._id,
+    name: goat.name,
+    breed: goat.breed,
+    gender: goat.gender,
+    birthDate: goat.birthDate,
+    rfidTag: goat.rfidTag,
+    owner: goat.owner,
+    sire: buildTree(goats, goat.sire, depth - 1),
+    dam: buildTree(goats, goat.dam, depth - 1),
+  };
+};
+
+// Returns the pedigree tree for one goat, or null if it doesn't exist
+const getPedigree = async (goatId, generations) => {
+  const goats = await loadAncestry([goatId], generations);
+  return buildTree(goats, { goat: goatId }, generations);
+};
+
+// Every path from `startId` up to each ancestor, as arrays of ids
+// ([start, parent, ..., ancestor]). The start goat counts as its own ancestor.
+const ancestorPaths = (goats, startId, generations) => {
+  const paths = [];
+  const walk = (id, path) => {
+    const next = [...path, id];
+    paths.push(next);
+    if (next.length > generations) return;
+
+    const goat = goats.get(id);
+    if (!goat) return;
+    for (const pid of [parentId(goat.sire), parentId(goat.dam)]) {
+      if (pid) walk(pid, next);
+    }
+  };
+
+  walk(String(startId), []);
+  return paths;
+};
+
+// Wright's coefficient of inbreeding for a kid of sire x dam:
+//   F = Σ (1/2)^(n1 + n2 + 1) * (1 + F_A)
+// summed over every common ancestor A and every pair of paths from the sire
+// and dam to A that only meet at A.
+const coefficientFor = (goats, sireId, damId, generations, memo) => {
+  if (!sireId || !damId || generations < 0) return 0;
+
+  const key = `${sireId}:${damId}`;
+  if (memo.has(key)) return memo.get(key);
+  memo.set(key, 0); // Guards against bad data with loops in it
+
+  const sirePaths = ancestorPaths(goats, sireId, generations);
+  const damPaths = ancestorPaths(goats, damId, generations);
+
+  let f = 0;
+  for (const p1 of sirePaths) {
+    const ancestor = p1[p1.length - 1];
+
+    for (const p2 of damPaths) {
+      if (p2[p2.length - 1] !== ancestor) continue;
+
+      const shared = p1.filter((id) => p2.includes(id));
+      if (shared.length !== 1) continue;
+
+      const a = goats.get(ancestor);
+      const fA = a
+        ? coefficientFor(
+            goats,
+            parentId(a.sire),
+            parentId(a.dam),
+            generations - Math.max(p1.length, p2.length),
+            memo
+          )
+        : 0;
+
+      f += Math.pow(0.5, p1.length - 1 + (p2.length - 1) + 1) * (1 + fA);
+    }
+  }
+
+  memo.set(key, f);
+  return f;
+};
+
+// Loads the ancestry of a proposed pairing and returns F plus the
+// common ancestors that contributed to it
+const inbreedingCoefficient = async (sireId, damId, generations) => {
+  const goats = await loadAncestry([sireId, damId], generations);
+
+  const sireSide = new Set(
+    ancestorPaths(goats, sireId, generations).map((p) => p[p.length - 1])
+  );
+  const commonAncestors = [
+    ...new Set(
+      ancestorPaths(goats, damId, generations)
+        .map((p) => p[p.length - 1])
+        .filter((id) => sireSide.has(id))
+    ),
+  ].map((id) => {
+    const goat = goats.get(id);
+    return goat ? { _id: goat._id, name: goat.name } : { _id: id };
+  });
+
+  const coefficient = coefficientFor(
+    goats,
+    String(sireId),
+    String(damId),
+    generations,
+    new Map()
+  );
+
+  return { coefficient: Number(coefficient.toFixed(4)), commonAncestors };
+};
+
+module.exports = {
+  MAX_GENERATIONS,
+  getPedigree,
+  inbreedingCoefficient,
+};
@@ -0,0 +1,150 @@
+// --- CONFIG --- //
+// Every limit can be tuned from the environment. Windows are in milliseconds.
+const num = (name, fallback) => Number(process.env[name]) || fallback;
+
+const LIMITS = {
+  // Login, register, refresh and the mailed-link endpoints, per IP
+  auth: {
+    windowMs: num("AUTH_RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000),
+    max: num("AUTH_RATE_LIMIT_MAX", 30),
+  },
+  // Anonymous browsing (marketplace, farms, goat pages, certificates), per IP
+  public: {
+    windowMs: num("PUBLIC_RATE_LIMIT_WINDOW_MS", 60 * 1000),
+    max: num("PUBLIC_RATE_LIMIT_MAX", 120),
+  },
+  // Legacy /add-goat saves, whose bodies carry base64 photos, per user
+  photoUpload: {
+    windowMs: num("UPLOAD_RATE_LIMIT_WINDOW_MS", 15 * 60 * 1000),
+    max: num("UPLOAD_RATE_LIMIT_MAX", 60),
+  },
+};
+
+const LOGIN = {
+  // Wrong passwords for one email before it is locked
+  maxFailures: num("LOGIN_MAX_FAILURES", 5),
+  // Wrong passwords from one IP (any email) before the IP is locked
+  maxFailuresPerIp: num("LOGIN_MAX_FAILURES_PER_IP", 20),
+  failureWindowMs: num("LOGIN_FAILURE_WINDOW_MS", 15 * 60 * 1000),
+  // First lockout; each further one doubles, up to the max
+  lockoutMs: num("LOGIN_LOCKOUT_MS", 60 * 1000),
+  maxLockoutMs: num("LOGIN_MAX_LOCKOUT_MS", 24 * 60 * 60 * 1000),
+};
+
+// --- STORE --- //
+// Counters live in memory by default, which is fine for a single server.
+// Several instances need a shared store: anything with these four async
+// methods (e.g. a small Redis wrapper) can be passed to setRateLimitStore().
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Drop expired entries now and then so the map doesn't grow forever
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.entries) {
+        if (entry.expiresAt <= now) this.entries.delete(key);
+      }
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  // Adds one hit to `key` and returns { count, resetAt }. The window starts
+  // with the first hit.
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= now) {
+      entry = { value: 0, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+const getRateLimitStore = () => store;
+
+// --- LOGIN LOCKOUT --- //
+const accountKey = (email) => `login:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `login-ip:${ip}`;
+
+// Milliseconds until this IP/email may try again, or 0
+const loginRetryAfter = async (ip, email) => {
+  const now = Date.now();
+  const [accountLock, ipLock] = await Promise.all([
+    store.get(`${accountKey(email)}:lock`),
+    store.get(`${ipKey(ip)}:lock`),
+  ]);
+  const until = Math.max(
+    accountLock ? accountLock.until : 0,
+    ipLock ? ipLock.until : 0
+  );
+  return Math.max(0, until - now);
+};
+
+// Locks `key` for lockoutMs x 2^(earlier lockouts). The level is remembered
+// for maxLockoutMs, so a patient attacker keeps getting slower.
+const lock = async (key) => {
+  const previous = await store.get(`${key}:level`);
+  const level = previous || 0;
+  const duration = Math.min(LOGIN.lockoutMs * 2 ** level, LOGIN.maxLockoutMs);
+
+  await store.set(`${key}:lock`, { until: Date.now() + duration }, duration);
+  await store.set(`${key}:level`, level + 1, LOGIN.maxLockoutMs);
+  await store.reset(`${key}:failures`);
+};
+
+const recordLoginFailure = async (ip, email) => {
+  const [account, byIp] = await Promise.all([
+    store.increment(`${accountKey(email)}:failures`, LOGIN.failureWindowMs),
+    store.increment(`${ipKey(ip)}:failures`, LOGIN.failureWindowMs),
+  ]);
+
+  if (account.count >= LOGIN.maxFailures) {
+    await lock(accountKey(email));
+    console.warn(`🔒 Login locked for ${email} after repeated failures`);
+  }
+  if (byIp.count >= LOGIN.maxFailuresPerIp) {
+    await lock(ipKey(ip));
+    console.warn(`🔒 Login locked for IP ${ip} after repeated failures`);
+  }
+};
+
+// A correct password clears the account's strikes (not the IP's)
+const recordLoginSuccess = async (email) => {
+  await Promise.all([
+    store.reset(`${accountKey(email)}:failures`),
+    store.reset(`${accountKey(email)}:level`),
+  ]);
+};
+
+module.exports = {
+  LIMITS,
+  LOGIN,
+  MemoryStore,
+  setRateLimitStore,
+  getRateLimitStore,
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+};
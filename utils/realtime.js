@@ -0,0 +1,172 @@
+// Live updates over Server-Sent Events (see routes/events.js). Everything
+// happens in this process, so with several server processes each one only
+// sees its own changes; they would need a shared bus (Redis pub/sub, ...).
+//
+// Events are { type, data, public?, farms?, goat? }:
+//   public  -> anyone watching the marketplace
+//   farms   -> members of these farms
+//   goat    -> lets clients follow a single goat
+
+const MAX_STREAMS = Number(process.env.MAX_EVENT_STREAMS) || 1000;
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Audit actions that are about photos rather than the record itself
+const IMAGE_ACTIONS = [
+  "image_added",
+  "image_removed",
+  "images_reordered",
+  "primary_image",
+];
+
+const streams = new Set();
+
+const isFull = () => streams.size >= MAX_STREAMS;
+
+// Turns the response into an event stream. `accepts(event)` decides which
+// events this client gets. The stream ends when the client disconnects or
+// `endAt` passes (e.g. its access token expires).
+const openStream = (req, res, accepts, { endAt } = {}) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx would otherwise hold events back
+  });
+  // How long the browser waits before reconnecting
+  res.write("retry: 5000\n\n");
+
+  const stream = { res, accepts };
+  streams.add(stream);
+
+  const timer =
+    endAt && setTimeout(() => res.end(), Math.max(endAt - Date.now(), 0));
+  req.on("close", () => {
+    streams.delete(stream);
+    if (timer) clearTimeout(timer);
+  });
+};
+
+// Sends the event to every stream that accepts it. Never throws: a broken
+// stream must not fail the change that caused the event.
+const publish = (event) => {
+  for (const stream of streams) {
+    try {
+      if (stream.accepts(event)) {
+        stream.res.write(
+          `event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+        );
+      }
+    } catch (err) {
+      console.error("❌ Event stream write failed:", err);
+    }
+  }
+};
+
+setInterval(() => {
+  for (const stream of streams) stream.res.write(": ping\n\n");
+}, HEARTBEAT_MS).unref();
+
+const plain = (goat) =>
+  goat ? (goat.toObject ? goat.toObject({ depopulate: true }) : goat) : {};
+
+// Same test as activeListing in utils/goats.js
+const isListed = (goat) =>
+  goat.isForSale === true &&
+  goat.isReserved !== true &&
+  goat.isSold !== true &&
+  !(goat.takedown && goat.takedown.at) &&
+  !goat.archivedAt;
+
+// Marketplace events for one goat change (see auditGoats):
+//   listing.created        it shows up in the feed (new, relisted, or back
+//                          from a cancelled reservation)
+//   listing.price_changed  the price of a listed goat changed
+//   listing.sold           a goat that was up for sale was sold
+//   listing.removed        it left the feed any other way
+// Changes that carry only some fields (see utils/audit.js) never list or
+// unlist anything, since isForSale is missing on both sides.
+const listingEvents = ({ action, before, after }) => {
+  const from = plain(before);
+  const to = plain(after);
+  const goat = to._id || from._id;
+  const farm = from.owner || to.owner; // The selling farm
+  const event = (type, data) => ({
+    type,
+    public: true,
+    goat,
+    data: { goat, farm, ...data },
+  });
+
+  const sold =
+    from.isForSale === true &&
+    from.isSold !== true &&
+    (to.isSold === true ||
+      (action === "archive" && to.archiveReason === "sold"));
+  if (sold) return [event("listing.sold", { price: from.price })];
+
+  const was = isListed(from);
+  const is = isListed(to);
+
+  if (!was && is) {
+    return [
+      event("listing.created", {
+        name: to.name,
+        breed: to.breed,
+        gender: to.gender,
+        price: to.price,
+        listedAt: to.listedAt,
+      }),
+    ];
+  }
+  if (was && !is) return [event("listing.removed")];
+  if (was && is && from.price !== to.price) {
+    return [event("listing.price_changed", { from: from.price, to: to.price })];
+  }
+  return [];
+};
+
+// Publishes the events for goat changes recorded by auditGoats: the
+// listing events above, plus a "goat" (or "image") event for the members
+// of the farm(s) in each audit entry
+const publishGoatChanges = (changes, entries) => {
+  changes.flatMap(listingEvents).forEach(publish);
+
+  for (const entry of entries) {
+    publish({
+      type: IMAGE_ACTIONS.includes(entry.action) ? "image" : "goat",
+      farms: entry.farms,
+      goat: entry.goat,
+      data: {
+        goat: entry.goat,
+        action: entry.action,
+        source: entry.source,
+        user: entry.user,
+        changes: entry.changes,
+        data: entry.data,
+        at: new Date(),
+      },
+    });
+  }
+};
+
+// A new reading for one of the farm's goats (see recordMeasurement)
+const publishMeasurement = (goat, measurement) => {
+  if (!goat.owner) return;
+
+  publish({
+    type: "measurement",
+    farms: [goat.owner],
+    goat: goat._id,
+    data: measurement.toObject ? measurement.toObject() : measurement,
+  });
+};
+
+module.exports = {
+  isFull,
+  openStream,
+  publish,
+  publishGoatChanges,
+  publishMeasurement,
+};
@@ -0,0 +1,39 @@
+const User = require("../models/User");
+
+// What each role may do:
+//   farmer - owns or works on farms (what they may do there depends on
+//            their farm role, see utils/farms.js)
+//   buyer  - browses, saves, follows, makes offers and messages farms
+//   vet    - what a buyer can, plus the health records of farms that
+//            granted access (see /farms/:id/vets)
+//   admin  - suspends accounts and takes down listings (/admin/...)
+// Anyone can register as farmer, buyer or vet. Admins are promoted by
+// another admin or listed in ADMIN_EMAILS.
+const SELF_SERVICE_ROLES = ["farmer", "buyer", "vet"];
+
+// Comma-separated emails that are made admins when the server starts
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// The name to show for any account
+const displayName = (user) => user.name || "Smart G-ID user";
+
+// Accounts from before roles were all farms. Run once the database is up.
+const ensureRoles = async () => {
+  const { modifiedCount } = await User.updateMany(
+    { role: { $exists: false } },
+    { $set: { role: "farmer" } }
+  );
+  if (modifiedCount) console.log(`👤 Marked ${modifiedCount} users as farmers`);
+
+  if (ADMIN_EMAILS.length > 0) {
+    await User.updateMany(
+      { email: { $in: ADMIN_EMAILS }, role: { $ne: "admin" } },
+      { $set: { role: "admin" } }
+    );
+  }
+};
+
+module.exports = { SELF_SERVICE_ROLES, displayName, ensureRoles };
@@ -0,0 +1,30 @@
+const Tombstone = require("../models/Tombstone");
+
+// Must match the TTL on the Tombstone collection
+const TOMBSTONE_RETENTION_MS = 90 * 86400000;
+
+// Records that these documents are gone, for the offline sync delta
+const recordDeletion = async (entity, ids, owner) => {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean);
+  if (list.length === 0) return;
+
+  await Tombstone.insertMany(list.map((docId) => ({ entity, docId, owner })));
+};
+
+// The sync token is just the server time of the last pull, kept opaque so
+// we can change it later without breaking the app
+const encodeSyncToken = (date) =>
+  Buffer.from(String(date.getTime())).toString("base64url");
+
+const decodeSyncToken = (token) => {
+  if (!token) return null;
+  const ms = Number(Buffer.from(String(token), "base64url").toString());
+  return Number.isFinite(ms) && ms > 0 ? new Date(ms) : undefined;
+};
+
+module.exports = {
+  TOMBSTONE_RETENTION_MS,
+  recordDeletion,
+  encodeSyncToken,
+  decodeSyncToken,
+};
@@ -0,0 +1,225 @@
+const Farm = require("../models/Farm");
+const Goat = require("../models/Goat");
+const Task = require("../models/Task");
+const HealthEvent = require("../models/HealthEvent");
+const Measurement = require("../models/Measurement");
+const BreedingEvent = require("../models/BreedingEvent");
+const { notArchived } = require("./goats");
+
+const DAY_MS = 86400000;
+
+// Tasks appear this long before they're due
+const TASK_HORIZON_DAYS = 30;
+
+// A goat this far past weaning age was weaned whether or not anyone ticked
+// it off, so no task (and an open one is resolved)
+const WEANING_GRACE_DAYS = 30;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const dayOf = (date) => date.toISOString().slice(0, 10);
+const goatLabel = (goat) => `${goat.name} (${goat.rfidTag})`;
+
+// Everything the farm's records say is due, done or not:
+// [{ goat, type, title, dueAt, basis }]. `basis` is the record the date
+// comes from.
+const dueFromRecords = async (farm) => {
+  const settings = farm.reminders || {};
+  const goats = await Goat.find({ owner: farm._id, ...notArchived })
+    .select("name rfidTag birthDate addedAt")
+    .lean();
+  const goatById = new Map(goats.map((g) => [String(g._id), g]));
+  const ids = goats.map((g) => g._id);
+
+  const due = [];
+  const add = (goatId, type, title, dueAt, basis) => {
+    const goat = goatById.get(String(goatId));
+    if (goat && dueAt) {
+      due.push({ goat, type, title: title(goat), dueAt, basis });
+    }
+  };
+
+  // 1. BOOSTERS AND DEWORMING: From the latest dose. Each vaccine has its
+  // own schedule; dewormers are rotated, so any dose counts.
+  const doses = await HealthEvent.aggregate([
+    {
+      $match: {
+        goatId: { $in: ids },
+        type: { $in: ["vaccination", "deworming"] },
+      },
+    },
+    { $sort: { date: -1 } },
+    {
+      $group: {
+        _id: {
+          goat: "$goatId",
+          type: "$type",
+          drug: {
+            $cond: [
+              { $eq: ["$type", "vaccination"] },
+              { $toLower: { $ifNull: ["$drug", ""] } },
+              "",
+            ],
+          },
+        },
+        eventId: { $first: "$_id" },
+        date: { $first: "$date" },
+        drug: { $first: "$drug" },
+      },
+    },
+  ]);
+
+  for (const dose of doses) {
+    const { goat, type } = dose._id;
+    const days =
+      type === "vaccination"
+        ? settings.vaccinationBoosterDays
+        : settings.dewormingDays;
+    if (!days) continue;
+
+    add(
+      goat,
+      type,
+      (g) =>
+        type === "vaccination"
+          ? `Booster${dose.drug ? ` (${dose.drug})` : ""}: ${goatLabel(g)}`
+          : `Deworming: ${goatLabel(g)}`,
+      addDays(dose.date, days),
+      dose.eventId
+    );
+  }
+
+  // 2. KIDDING: Every breeding still waiting on a kid
+  const breedings = await BreedingEvent.find({
+    owner: farm._id,
+    status: { $in: ["bred", "confirmed"] },
+  })
+    .select("doe expectedKiddingDate")
+    .lean();
+
+  for (const breeding of breedings) {
+    add(
+      breeding.doe,
+      "kidding",
+      (g) => `Expected kidding: ${goatLabel(g)}`,
+      breeding.expectedKiddingDate,
+      breeding._id
+    );
+  }
+
+  // 3. WEANING: From birthDate
+  if (settings.weaningDays) {
+    const cutoff = addDays(new Date(), -WEANING_GRACE_DAYS);
+
+    for (const goat of goats) {
+      const dueAt = addDays(goat.birthDate, settings.weaningDays);
+      if (dueAt < cutoff) continue;
+
+      add(
+        goat._id,
+        "weaning",
+        (g) => `Weaning age: ${goatLabel(g)}`,
+        dueAt,
+        goat._id
+      );
+    }
+  }
+
+  // 4. WEIGHING: From the last weight, or from when a never-weighed goat
+  // was added
+  if (settings.weighingDays) {
+    const weighings = await Measurement.aggregate([
+      { $match: { goatId: { $in: ids }, weight: { $ne: null } } },
+      { $sort: { measuredAt: -1 } },
+      {
+        $group: {
+          _id: "$goatId",
+          measurementId: { $first: "$_id" },
+          measuredAt: { $first: "$measuredAt" },
+        },
+      },
+    ]);
+    const lastWeighing = new Map(weighings.map((w) => [String(w._id), w]));
+
+    for (const goat of goats) {
+      const last = lastWeighing.get(String(goat._id));
+      add(
+        goat._id,
+        "weighing",
+        (g) => `Weigh: ${goatLabel(g)}`,
+        addDays(last ? last.measuredAt : goat.addedAt, settings.weighingDays),
+        last ? last.measurementId : goat._id
+      );
+    }
+  }
+
+  return due;
+};
+
+// Brings one farm's tasks up to date with its records: adds the ones due
+// within TASK_HORIZON_DAYS and resolves open ones the records no longer call
+// for. Done and snoozed tasks are left as they are.
+const generateFarmTasks = async (farm) => {
+  const due = await dueFromRecords(farm);
+  const horizon = addDays(new Date(), TASK_HORIZON_DAYS);
+
+  const keyed = due.map((task) => ({
+    ...task,
+    key: `${task.type}:${task.basis}:${dayOf(task.dueAt)}`,
+  }));
+
+  const upcoming = keyed.filter((task) => task.dueAt <= horizon);
+  if (upcoming.length > 0) {
+    await Task.bulkWrite(
+      upcoming.map(({ goat, type, title, dueAt, key }) => ({
+        updateOne: {
+          filter: { farm: farm._id, key },
+          update: {
+            $setOnInsert: {
+              goat: goat._id,
+              type,
+              title,
+              dueAt,
+              remindAt: dueAt,
+              status: "open",
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  const { modifiedCount: resolved } = await Task.updateMany(
+    {
+      farm: farm._id,
+      status: "open",
+      key: { $nin: keyed.map((task) => task.key) },
+    },
+    { $set: { status: "resolved" } }
+  );
+
+  return { resolved };
+};
+
+// The scheduler's job (see server.js). Runs are skipped while one is still
+// going, since a big herd can take longer than the interval.
+let running = false;
+const generateAllTasks = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let resolved = 0;
+    const farms = Farm.find().select("reminders").cursor();
+    for await (const farm of farms) {
+      resolved += (await generateFarmTasks(farm)).resolved;
+    }
+
+    if (resolved > 0) console.log(`📅 Resolved ${resolved} task(s)`);
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = { TASK_HORIZON_DAYS, generateFarmTasks, generateAllTasks };
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const RefreshToken = require("../models/RefreshToken");
+const AccountToken = require("../models/AccountToken");
+const FarmInvitation = require("../models/FarmInvitation");
+const CalendarFeed = require("../models/CalendarFeed");
+
+// --- CONFIG --- //
+const ACCESS_TOKEN_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How long mailed links stay valid, in minutes
+const ACCOUNT_TOKEN_TTL = {
+  verify_email: 48 * 60,
+  reset_password: 60,
+  change_email: 24 * 60,
+};
+const FARM_INVITATION_TTL_DAYS = 7;
+
+if (!ACCESS_TOKEN_SECRET) {
+  console.warn("⚠️ JWT_SECRET is not set. Login will fail until it is.");
+}
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Short-lived JWT sent as "Authorization: Bearer <token>"
+const signAccessToken = (user) =>
+  jwt.sign({ sub: String(user._id) }, ACCESS_TOKEN_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+// Returns the decoded payload, or throws if the token is bad or expired
+const verifyAccessToken = (token) => jwt.verify(token, ACCESS_TOKEN_SECRET);
+
+// Long-lived opaque token. The DB keeps a hash so it can be revoked on logout.
+const issueRefreshToken = async (user) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+  });
+
+  return token;
+};
+
+// Revokes the presented token and returns a fresh one (rotation).
+// Returns null if the token is unknown, expired or already used.
+const rotateRefreshToken = async (token) => {
+  const record = await RefreshToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!record) return null;
+
+  const refreshToken = await issueRefreshToken({ _id: record.user });
+  return { userId: record.user, refreshToken };
+};
+
+const revokeRefreshToken = (token) =>
+  RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+// Logs the user out everywhere (password reset, password change, deletion)
+const revokeAllRefreshTokens = (userId) =>
+  RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+// Token for a mailed link. Any earlier unused token for the same purpose
+// stops working, so only the newest email counts.
+const issueAccountToken = async (user, purpose, extra = {}) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL[purpose] * 60000),
+    ...extra,
+  });
+
+  return token;
+};
+
+// Marks the token used and returns its record, or null if it is unknown,
+// expired, already used or meant for something else
+const consumeAccountToken = (token, purposes) =>
+  AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose: { $in: [].concat(purposes) },
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+// A mailed link to join a farm. Inviting the same email again replaces the
+// earlier link. Returns the invitation and the token for the link.
+const issueFarmInvitation = async (farm, { email, role }, invitedBy) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  email = email.toLowerCase();
+
+  await FarmInvitation.deleteMany({ farm: farm._id, email });
+  const invitation = await FarmInvitation.create({
+    farm: farm._id,
+    email,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: invitedBy._id,
+    expiresAt: new Date(Date.now() + FARM_INVITATION_TTL_DAYS * 86400000),
+  });
+
+  return { invitation, token };
+};
+
+// The open invitation a link's token belongs to, or null
+const findFarmInvitation = (token) =>
+  FarmInvitation.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+
+// The secret for a member's calendar feed link. Replaces their earlier link
+// for the same farm.
+const issueCalendarFeed = async (farm, user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await CalendarFeed.deleteMany({ farm: farm._id, user: user._id });
+  await CalendarFeed.create({
+    farm: farm._id,
+    user: user._id,
+    tokenHash: hashToken(token),
+  });
+
+  return token;
+};
+
+// The feed a calendar link's token belongs to, or null
+const findCalendarFeed = (token) =>
+  CalendarFeed.findOne({ tokenHash: hashToken(token) });
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  issueAccountToken,
+  consumeAccountToken,
+  issueFarmInvitation,
+  findFarmInvitation,
+  issueCalendarFeed,
+  findCalendarFeed,
+};
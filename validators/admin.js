@@ -0,0 +1,26 @@
+const User = require("../models/User");
+
+const reason = { type: "string", required: true, minLength: 1, maxLength: 500 };
+
+// GET /admin/users
+const usersQuery = {
+  role: { type: "string", enum: User.schema.path("role").enumValues },
+  suspended: { type: "boolean" },
+  q: { type: "string", maxLength: 100 }, // Email, name or a farm they are on
+  limit: { type: "integer", min: 1, max: 100, default: 50 },
+  before: { type: "date" }, // createdAt of the oldest one already shown
+};
+
+// PUT /admin/users/:id/role
+const setRole = {
+  role: {
+    type: "string",
+    required: true,
+    enum: User.schema.path("role").enumValues,
+  },
+};
+
+// POST /admin/users/:id/suspend and /admin/goats/:id/takedown
+const withReason = { reason };
+
+module.exports = { usersQuery, setRole, withReason };
@@ -0,0 +1,19 @@
+const GoatAudit = require("../models/GoatAudit");
+
+const page = {
+  limit: { type: "integer", min: 1, max: 100, default: 30 },
+  cursor: { type: "string", maxLength: 200 }, // nextCursor of the last page
+};
+
+// GET /goats/:id/history
+const historyQuery = page;
+
+// GET /farms/:id/activity
+const activityQuery = {
+  ...page,
+  goat: { type: "objectId" },
+  user: { type: "objectId" },
+  action: { type: "string", enum: GoatAudit.schema.path("action").enumValues },
+};
+
+module.exports = { historyQuery, activityQuery };
@@ -0,0 +1,77 @@
+const { SELF_SERVICE_ROLES } = require("../utils/roles");
+
+// Passwords are taken exactly as typed, spaces included
+const currentPassword = {
+  type: "string",
+  required: true,
+  maxLength: 128,
+  trim: false,
+};
+const password = { ...currentPassword, minLength: 8 };
+
+// A farmer may send farmName and address to create their farm; without a
+// farm name, name is required (checked in the route)
+const register = {
+  email: { type: "string", required: true, email: true, maxLength: 254 },
+  password,
+  role: { type: "string", enum: SELF_SERVICE_ROLES, default: "farmer" },
+  name: { type: "string", maxLength: 100 },
+  farmName: { type: "string", maxLength: 100 },
+  address: { type: "string", maxLength: 300 },
+};
+
+const login = {
+  email: { type: "string", required: true, maxLength: 254 },
+  password: currentPassword,
+};
+
+const refresh = {
+  refreshToken: { type: "string", required: true, maxLength: 200 },
+};
+
+const logout = {
+  refreshToken: { type: "string", maxLength: 200 },
+};
+
+const token = { type: "string", required: true, maxLength: 200 };
+
+// POST /account/verify-email
+const verifyEmail = { token };
+
+// POST /account/forgot-password
+const forgotPassword = {
+  email: { type: "string", required: true, maxLength: 254 },
+};
+
+// POST /account/reset-password
+const resetPassword = { token, password };
+
+// PUT /account/password
+const changePassword = {
+  currentPassword,
+  newPassword: password,
+};
+
+// PUT /account/email
+const changeEmail = {
+  password: currentPassword,
+  newEmail: register.email,
+};
+
+// DELETE /account
+const deleteAccount = {
+  password: currentPassword,
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  changeEmail,
+  deleteAccount,
+};
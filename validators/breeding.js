@@ -0,0 +1,83 @@
+const Goat = require("../models/Goat");
+const BreedingEvent = require("../models/BreedingEvent");
+
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+const notes = { type: "string", maxLength: 2000 };
+
+// POST /goats/:id/breedings. Either buckId (a goat on any farm) or
+// externalBuck (an outside buck or AI straw).
+const newBreeding = {
+  buckId: { type: "objectId" },
+  externalBuck: {
+    type: "object",
+    fields: {
+      name: { type: "string", maxLength: 100 },
+      registration: { type: "string", maxLength: 100 },
+      breed: { type: "string", maxLength: 100 },
+    },
+  },
+  matingDate: { type: "date", required: true },
+  method: { type: "string", enum: enumOf(BreedingEvent, "method") },
+  gestationDays: { type: "integer", min: 1, max: 400 },
+  notes,
+};
+
+// PUT /breedings/:breedingId (partial). Kidding has its own endpoint.
+const updateBreeding = {
+  matingDate: newBreeding.matingDate,
+  method: newBreeding.method,
+  gestationDays: newBreeding.gestationDays,
+  status: {
+    type: "string",
+    enum: enumOf(BreedingEvent, "status").filter((s) => s !== "kidded"),
+  },
+  notes,
+};
+
+// POST /breedings/:breedingId/kidding
+const kidding = {
+  date: { type: "date" }, // Defaults to now
+  kidsBorn: { type: "integer", min: 0, max: 20 }, // Including stillborn
+  notes,
+  kids: {
+    type: "array",
+    maxLength: 20,
+    items: {
+      type: "object",
+      fields: {
+        rfidTag: { type: "string", required: true, maxLength: 64 },
+        name: { type: "string", required: true, maxLength: 100 },
+        gender: {
+          type: "string",
+          required: true,
+          enum: enumOf(Goat, "gender"),
+        },
+        breed: { type: "string", maxLength: 100 }, // Defaults to the doe's
+        weight: { type: "number", required: true, min: 0 },
+        height: { type: "number", required: true, min: 0 },
+      },
+    },
+    default: [],
+  },
+};
+
+// GET /goats/:id/pedigree. More than MAX_GENERATIONS is capped.
+const pedigreeQuery = {
+  generations: { type: "integer", min: 1, default: 3 },
+};
+
+// GET /breeding/inbreeding
+const inbreedingQuery = {
+  sireId: { type: "objectId", required: true },
+  damId: { type: "objectId", required: true },
+  generations: { type: "integer", min: 1, default: 5 },
+};
+
+module.exports = {
+  newBreeding,
+  updateBreeding,
+  kidding,
+  pedigreeQuery,
+  inbreedingQuery,
+};
@@ -0,0 +1,14 @@
+// GET /events/marketplace
+const marketplaceEventsQuery = {
+  farm: { type: "objectId" },
+  goat: { type: "objectId" },
+};
+
+// GET /events
+const farmEventsQuery = {
+  farm: { type: "objectId" }, // Must be one of the caller's farms
+  goat: { type: "objectId" },
+  marketplace: { type: "boolean", default: false },
+};
+
+module.exports = { marketplaceEventsQuery, farmEventsQuery };
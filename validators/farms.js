@@ -0,0 +1,39 @@
+const addressPart = { type: "string", maxLength: 100 };
+
+// PUT /farms/:id/profile (partial)
+const profile = {
+  farmName: { type: "string", required: true, maxLength: 100 },
+  address: { type: "string", required: true, maxLength: 300 },
+  description: { type: "string", maxLength: 2000 },
+  phone: { type: "string", maxLength: 30 },
+  addressDetails: {
+    type: "object",
+    fields: {
+      street: { type: "string", maxLength: 200 },
+      barangay: addressPart,
+      city: addressPart,
+      province: addressPart,
+      region: addressPart,
+      postalCode: { type: "string", maxLength: 10 },
+    },
+  },
+  // { lat, lng } in degrees. null removes the map pin.
+  coordinates: {
+    type: "object",
+    nullable: true,
+    fields: {
+      lat: { type: "number", required: true, min: -90, max: 90 },
+      lng: { type: "number", required: true, min: -180, max: 180 },
+    },
+  },
+};
+
+// ?lat=14.6&lng=121.0&radiusKm=25 on /api/farms and the marketplace feed.
+// lat and lng go together; radiusKm only applies when they're given.
+const nearQuery = {
+  lat: { type: "number", min: -90, max: 90 },
+  lng: { type: "number", min: -180, max: 180 },
+  radiusKm: { type: "number", min: 1, max: 500, default: 50 },
+};
+
+module.exports = { profile, nearQuery };
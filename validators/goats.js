@@ -0,0 +1,105 @@
+const Goat = require("../models/Goat");
+const Measurement = require("../models/Measurement");
+const { MAX_IMAGE_BYTES, MAX_PHOTOS_PER_GOAT } = require("../utils/images");
+
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+// A base64 data URL is about 4/3 the size of the image, plus its prefix
+const MAX_PHOTO_LENGTH = Math.ceil((MAX_IMAGE_BYTES * 4) / 3) + 100;
+
+const parent = {
+  type: "object",
+  nullable: true, // null clears the parent
+  fields: {
+    goat: { type: "objectId" },
+    name: { type: "string", maxLength: 100 },
+    registration: { type: "string", maxLength: 100 },
+    breed: { type: "string", maxLength: 100 },
+  },
+};
+
+// Fields a farmer edits on the details form
+const details = {
+  name: { type: "string", required: true, maxLength: 100 },
+  gender: { type: "string", required: true, enum: enumOf(Goat, "gender") },
+  breed: { type: "string", required: true, maxLength: 100 },
+  birthDate: { type: "date", required: true },
+  weight: { type: "number", required: true, min: 0 },
+  height: { type: "number", required: true, min: 0 },
+  healthStatus: {
+    type: "array",
+    maxLength: 20,
+    items: { type: "string", maxLength: 50 },
+  },
+  sire: parent,
+  dam: parent,
+};
+
+// POST /add-goat
+const addGoat = {
+  rfidTag: { type: "string", required: true, maxLength: 64 },
+  ...details,
+  photos: {
+    type: "array",
+    maxLength: MAX_PHOTOS_PER_GOAT,
+    items: { type: "string", maxLength: MAX_PHOTO_LENGTH },
+  },
+  sensorId: { type: "string", maxLength: 100 },
+  measurementSource: {
+    type: "string",
+    enum: enumOf(Measurement, "source"),
+  },
+  addedAt: { type: "date" },
+};
+
+// PUT /update-goat/:id (partial)
+const updateGoat = {
+  ...details,
+  price: { type: "number", min: 0 },
+  isForSale: { type: "boolean" },
+  listedAt: { type: "date" },
+};
+
+// Fields that exist on a Goat but have their own endpoints
+const updateGoatForbidden = [
+  "owner", // Offer workflow
+  "rfidTag", // /goats/:id/retag
+  "tagHistory",
+  "isReserved",
+  "isSold",
+  "soldPrice",
+  "soldAt",
+  "ownershipHistory",
+  "withdrawalUntil", // Derived from the health log
+  "archivedAt", // /delete-goat/:id and /goats/:id/restore
+  "archiveReason",
+  "archivedBy",
+  "addedAt",
+  "takedown", // /admin/goats/:id/takedown
+];
+
+// One row of a CSV herd import (POST /farms/:id/goats/import).
+// Listing fields are left out; those go through the marketplace flow.
+const importRow = {
+  rfidTag: addGoat.rfidTag,
+  ...details,
+  addedAt: { type: "date" },
+};
+
+// DELETE /delete-goat/:id
+const archiveGoat = {
+  reason: {
+    type: "string",
+    required: true,
+    enum: enumOf(Goat, "archiveReason"),
+  },
+  date: { type: "date" },
+};
+
+module.exports = {
+  addGoat,
+  updateGoat,
+  updateGoatForbidden,
+  importRow,
+  archiveGoat,
+};
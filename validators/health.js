@@ -0,0 +1,26 @@
+const HealthEvent = require("../models/HealthEvent");
+
+const types = HealthEvent.schema.path("type").enumValues;
+const text = { type: "string", maxLength: 200 };
+const withdrawalDays = { type: "integer", min: 0, max: 1000 };
+
+// GET /goats/:id/health-events
+const healthEventsQuery = {
+  type: { type: "string", enum: types },
+};
+
+// POST /goats/:id/health-events, PUT .../:eventId (partial)
+const healthEvent = {
+  type: { type: "string", required: true, enum: types },
+  date: { type: "date", required: true },
+  notes: { type: "string", maxLength: 2000 },
+  drug: text,
+  dose: text, // Free text like "2 ml"
+  meatWithdrawalDays: withdrawalDays,
+  milkWithdrawalDays: withdrawalDays,
+  vetName: text,
+  // null reopens an illness
+  resolvedAt: { type: "date", nullable: true },
+};
+
+module.exports = { healthEventsQuery, healthEvent };
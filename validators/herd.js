@@ -0,0 +1,11 @@
+// GET /farms/:id/goats.csv and /farms/:id/measurements.csv
+const exportQuery = {
+  includeArchived: { type: "boolean", default: false },
+};
+
+// POST /farms/:id/goats/import. Without confirm=true nothing is written.
+const importQuery = {
+  confirm: { type: "boolean", default: false },
+};
+
+module.exports = { exportQuery, importQuery };
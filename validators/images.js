@@ -0,0 +1,13 @@
+const { MAX_PHOTOS_PER_GOAT } = require("../utils/images");
+
+// PUT /goats/:id/images/order. Every photo of the goat, in the new order.
+const imageOrder = {
+  imageIds: {
+    type: "array",
+    required: true,
+    maxLength: MAX_PHOTOS_PER_GOAT,
+    items: { type: "objectId" },
+  },
+};
+
+module.exports = { imageOrder };
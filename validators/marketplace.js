@@ -0,0 +1,37 @@
+const { nearQuery } = require("./farms");
+
+// ?sort=<key> -> the field we sort on and its direction.
+// Ties are always broken by _id in the same direction so cursors are stable.
+const SORTS = {
+  newest: { field: "listedAt", dir: -1 },
+  oldest: { field: "listedAt", dir: 1 },
+  price_asc: { field: "price", dir: 1 },
+  price_desc: { field: "price", dir: -1 },
+  weight_asc: { field: "weight", dir: 1 },
+  weight_desc: { field: "weight", dir: -1 },
+  youngest: { field: "birthDate", dir: -1 },
+  eldest: { field: "birthDate", dir: 1 },
+  distance: { field: "distanceKm", dir: 1 }, // Needs lat/lng
+};
+
+const feedQuery = {
+  breed: { type: "string", maxLength: 200 }, // Comma-separated
+  gender: { type: "string", enum: ["Male", "Female"] },
+  health: { type: "string", maxLength: 200 }, // Comma-separated tags
+  farm: { type: "objectId" },
+  q: { type: "string", maxLength: 100 },
+  minPrice: { type: "number", min: 0 },
+  maxPrice: { type: "number", min: 0 },
+  minWeight: { type: "number", min: 0 },
+  maxWeight: { type: "number", min: 0 },
+  minAgeMonths: { type: "number", min: 0 },
+  maxAgeMonths: { type: "number", min: 0 },
+  hideWithdrawal: { type: "boolean" },
+  ...nearQuery,
+  // Defaults to distance when lat/lng are given, newest otherwise
+  sort: { type: "string", enum: Object.keys(SORTS) },
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  cursor: { type: "string", maxLength: 500 },
+};
+
+module.exports = { SORTS, feedQuery };
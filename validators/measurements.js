@@ -0,0 +1,21 @@
+const Measurement = require("../models/Measurement");
+
+// POST /goats/:id/measurements. At least one of weight and height.
+const newMeasurement = {
+  weight: { type: "number", min: 0 },
+  height: { type: "number", min: 0 },
+  source: {
+    type: "string",
+    enum: Measurement.schema.path("source").enumValues,
+  },
+  sensorId: { type: "string", maxLength: 100 },
+  measuredAt: { type: "date" },
+};
+
+// ?from=2025-01-01&to=2025-03-01 on the history, growth and alert routes
+const dateRangeQuery = {
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+module.exports = { newMeasurement, dateRangeQuery };
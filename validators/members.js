@@ -0,0 +1,24 @@
+const FarmInvitation = require("../models/FarmInvitation");
+
+// Owners are never invited; each farm has exactly one
+const memberRole = {
+  type: "string",
+  required: true,
+  enum: FarmInvitation.schema.path("role").enumValues,
+};
+
+// POST /farms/:id/invitations. Inviting the same email again sends a new link.
+const invite = {
+  email: { type: "string", required: true, email: true, maxLength: 254 },
+  role: memberRole,
+};
+
+// POST /invitations/accept
+const acceptInvitation = {
+  token: { type: "string", required: true, maxLength: 200 },
+};
+
+// PUT /farms/:id/members/:userId
+const setMemberRole = { role: memberRole };
+
+module.exports = { invite, acceptInvitation, setMemberRole };
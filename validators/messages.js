@@ -0,0 +1,19 @@
+const body = { type: "string", required: true, minLength: 1, maxLength: 2000 };
+
+// POST /conversations. Either goat (asks its farm about it) or farm.
+const startConversation = {
+  goat: { type: "objectId" },
+  farm: { type: "objectId" },
+  body,
+};
+
+// POST /conversations/:id/messages
+const sendMessage = { body };
+
+// GET /conversations and /conversations/:id/messages
+const pageQuery = {
+  limit: { type: "integer", min: 1, max: 100, default: 30 },
+  cursor: { type: "string", maxLength: 200 }, // nextCursor of the last page
+};
+
+module.exports = { startConversation, sendMessage, pageQuery };
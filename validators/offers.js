@@ -0,0 +1,26 @@
+const Offer = require("../models/Offer");
+
+const amount = { type: "number", min: 0 };
+
+// POST /goats/:id/offers. amount is ignored for a reservation, which takes
+// the listed price.
+const makeOffer = {
+  type: {
+    type: "string",
+    enum: Offer.schema.path("type").enumValues,
+    default: "offer",
+  },
+  amount,
+  message: { type: "string", maxLength: 1000 },
+};
+
+// GET /offers
+const offersQuery = {
+  role: { type: "string", enum: ["buyer", "seller"] },
+  status: { type: "string", enum: Offer.schema.path("status").enumValues },
+};
+
+// POST /offers/:offerId/counter
+const counterOffer = { amount: { ...amount, required: true } };
+
+module.exports = { makeOffer, offersQuery, counterOffer };
@@ -0,0 +1,18 @@
+const { addGoat } = require("./goats");
+
+// POST /scan. Readings are optional and stored as a sensor measurement.
+const scanTag = {
+  rfidTag: addGoat.rfidTag,
+  readerId: { type: "string", maxLength: 100 },
+  weight: { type: "number", min: 0 },
+  height: { type: "number", min: 0 },
+  measuredAt: { type: "date" },
+};
+
+// POST /goats/:id/retag
+const retag = {
+  newTag: addGoat.rfidTag,
+  reason: { type: "string", maxLength: 500 },
+};
+
+module.exports = { scanTag, retag };
@@ -0,0 +1,8 @@
+// ?from=2025-01-01&to=2025-06-30&interval=month
+const summaryQuery = {
+  from: { type: "date" },
+  to: { type: "date" },
+  interval: { type: "string", enum: ["week", "month"], default: "month" },
+};
+
+module.exports = { summaryQuery };
@@ -0,0 +1,20 @@
+const goats = require("./goats");
+const { healthEvent } = require("./health");
+const { newMeasurement } = require("./measurements");
+
+// A goat on the device: a server id, or the clientId of a goat created
+// earlier in the same batch
+const goatRef = { type: "string", required: true, maxLength: 100 };
+
+// POST /sync: `data` of each operation, by "entity.action". Same rules as
+// the matching REST routes; updates are partial.
+const operationData = {
+  "goat.create": { rfidTag: goats.addGoat.rfidTag, ...goats.updateGoat },
+  "goat.update": goats.updateGoat,
+  "goat.delete": goats.archiveGoat,
+  "healthEvent.create": { goatId: goatRef, ...healthEvent },
+  "healthEvent.update": healthEvent,
+  "measurement.create": { goatId: goatRef, ...newMeasurement },
+};
+
+module.exports = { operationData };
@@ -0,0 +1,43 @@
+const Task = require("../models/Task");
+const { TASK_HORIZON_DAYS } = require("../utils/tasks");
+
+// GET /farms/:id/tasks
+const tasksQuery = {
+  status: {
+    type: "string",
+    enum: Task.schema.path("status").enumValues,
+    default: "open",
+  },
+  // Open tasks only: overdue, upcoming (due within `days`) or both
+  due: {
+    type: "string",
+    enum: ["overdue", "upcoming", "all"],
+    default: "all",
+  },
+  // Tasks only exist TASK_HORIZON_DAYS ahead
+  days: { type: "integer", min: 1, max: TASK_HORIZON_DAYS, default: 14 },
+  type: { type: "string", enum: Task.schema.path("type").enumValues },
+  goat: { type: "objectId" },
+  limit: { type: "integer", min: 1, max: 500, default: 100 },
+};
+
+// POST /farms/:id/tasks/:taskId/complete
+const completeTask = {
+  notes: { type: "string", maxLength: 500 },
+};
+
+// POST /farms/:id/tasks/:taskId/snooze
+const snoozeTask = {
+  until: { type: "date", required: true },
+};
+
+// PUT /farms/:id/reminders (partial). null turns a reminder off.
+const interval = { type: "integer", min: 1, max: 1000, nullable: true };
+const reminders = {
+  vaccinationBoosterDays: interval,
+  dewormingDays: interval,
+  weaningDays: interval,
+  weighingDays: interval,
+};
+
+module.exports = { tasksQuery, completeTask, snoozeTask, reminders };
@@ -0,0 +1,13 @@
+const VetAccess = require("../models/VetAccess");
+
+// PUT /farms/:id/vets. Granting again changes the permission.
+const grantAccess = {
+  email: { type: "string", required: true, email: true, maxLength: 254 },
+  permission: {
+    type: "string",
+    enum: VetAccess.schema.path("permission").enumValues,
+    default: "read",
+  },
+};
+
+module.exports = { grantAccess };
@@ -0,0 +1,8 @@
+// GET /notifications
+const notificationsQuery = {
+  unreadOnly: { type: "boolean", default: false },
+  limit: { type: "integer", min: 1, max: 100, default: 30 },
+  cursor: { type: "string", maxLength: 200 }, // nextCursor of the last page
+};
+
+module.exports = { notificationsQuery };